@@ -0,0 +1,169 @@
+/**
+ * カタログ検査クラス
+ * バリアントのKAGEデータを実際に展開し、カタログに手入力された値 (有効領域・画数) と比較します。
+ */
+
+/**
+ * @typedef {Object} RectReportEntry
+ * @property {string} char - 文字
+ * @property {string} layout - レイアウトID
+ * @property {string} id - バリアントのグリフID
+ * @property {number[]|null} declared - カタログに記載された rect (未指定ならnull)
+ * @property {number[]} suggested - インクの範囲から求めた rect
+ * @property {number} deviation - 辺ごとのずれの最大値 (0.0 - 1.0)
+ */
+
+/**
+ * @typedef {Object} StrokeReportEntry
+ * @property {string} char - 文字
+ * @property {string|null} layout - レイアウトID (文字全体の画数ならnull)
+ * @property {string} id - 数えたグリフのID
+ * @property {number} declared - カタログに記載された画数
+ * @property {number} counted - KAGEデータから数えた画数
+ */
+
+class CatalogAnalyzer {
+    /**
+     * @param {GlyphLoader} glyphLoader
+     * @param {Object} [options] - KanjiComposer と同じオプション (strokeRules 等)
+     */
+    constructor(glyphLoader, options = {}) {
+        this.loader = glyphLoader;
+        this.composer = new KanjiComposer(glyphLoader, options);
+    }
+
+    /**
+     * 展開済みストロークのインクの範囲を、KAGEエンジンの getBox() で求めます。
+     * 線幅は含まないため、実際の描画より少し狭くなります。
+     * @param {number[][]} strokes - 展開済みのストローク配列
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} KAGE座標 (0-200)。描画されるストロークが無ければnull
+     */
+    static measureInkBox(strokes) {
+        const box = new Kage().getBox(strokes.map(stroke => stroke.join(':')).join('$'));
+        // getBox() は描画されるストロークが無いと minX = 200, maxX = 0 のまま返す
+        return box.minX <= box.maxX && box.minY <= box.maxY ? box : null;
+    }
+
+    /**
+     * インクの範囲に余白を加え、rect形式 [x, y, w, h] (0.0 - 1.0) に変換します。
+     * @param {{minX: number, minY: number, maxX: number, maxY: number}} box - KAGE座標のインクの範囲
+     * @param {number} [padding=0.02] - 各辺に加える余白 (0.0 - 1.0)
+     * @returns {number[]}
+     */
+    static boxToRect(box, padding = 0.02) {
+        const clamp = v => Math.min(Math.max(v, 0), 1);
+        const round = v => Math.round(v * 100) / 100;
+        const left = round(clamp(box.minX / 200 - padding));
+        const top = round(clamp(box.minY / 200 - padding));
+        const right = round(clamp(box.maxX / 200 + padding));
+        const bottom = round(clamp(box.maxY / 200 + padding));
+        return [left, top, round(right - left), round(bottom - top)];
+    }
+
+    /**
+     * 2つの rect の辺ごとのずれの最大値を求めます。
+     * @param {number[]} a - [x, y, w, h]
+     * @param {number[]} b - [x, y, w, h]
+     * @returns {number}
+     */
+    static rectDeviation(a, b) {
+        const edges = r => [r[0], r[1], r[0] + r[2], r[1] + r[3]];
+        const ea = edges(a), eb = edges(b);
+        return Math.max(...ea.map((v, i) => Math.abs(v - eb[i])));
+    }
+
+    /**
+     * KAGEデータから有効領域の候補を求めます。
+     * @param {string} kageData - KAGEデータ文字列 (部品は読み込み済みであること)
+     * @param {Object} [options]
+     * @param {number} [options.padding=0.02] - 各辺に加える余白 (0.0 - 1.0)
+     * @returns {number[]|null} [x, y, w, h]。描画されるストロークが無ければnull
+     */
+    suggestRect(kageData, options = {}) {
+        const box = CatalogAnalyzer.measureInkBox(this.composer.flatten(kageData));
+        return box ? CatalogAnalyzer.boxToRect(box, options.padding) : null;
+    }
+
+    /**
+     * 文字設定の指定レイアウトのバリアントについて、有効領域の候補を求めます。
+     * @param {CharConfig} charConfig - 文字設定
+     * @param {string} layoutMode - レイアウトID
+     * @param {Object} [options] - suggestRect() と同じオプション
+     * @returns {Promise<number[]|null>}
+     */
+    async suggestVariantRect(charConfig, layoutMode, options = {}) {
+        const { id } = GlyphConfig.getVariantInfo(charConfig, layoutMode);
+        const data = await this.loader.load(id);
+        return this.suggestRect(data, options);
+    }
+
+    /**
+     * カタログ中のすべてのバリアントについて、記載された rect とインクの範囲を比較します。
+     * @param {CharConfig[]} [chars] - 検査するカタログ (省略時は GlyphConfig.CHARS)
+     * @param {Object} [options]
+     * @param {number} [options.padding=0.02] - 候補に加える余白
+     * @param {number} [options.tolerance=0.1] - これを超えるずれを不一致とみなす
+     * @returns {Promise<{mismatches: RectReportEntry[], missing: RectReportEntry[], errors: {char: string, layout: string, error: Error}[]}>}
+     *   mismatches: 記載値が大きくずれているもの / missing: rect が未指定のもの / errors: 読み込めなかったもの
+     */
+    async checkRects(chars = GlyphConfig.CHARS, options = {}) {
+        const tolerance = options.tolerance !== undefined ? options.tolerance : 0.1;
+        const report = { mismatches: [], missing: [], errors: [] };
+
+        for (const charConfig of chars) {
+            for (const layout of Object.keys(charConfig.variants || {})) {
+                const { id, rect } = GlyphConfig.getVariantInfo(charConfig, layout);
+                let suggested;
+                try {
+                    suggested = await this.suggestVariantRect(charConfig, layout, options);
+                } catch (e) {
+                    report.errors.push({ char: charConfig.char, layout, error: e });
+                    continue;
+                }
+                if (!suggested) continue;
+
+                const declared = rect ? [rect.x, rect.y, rect.w, rect.h] : null;
+                const entry = {
+                    char: charConfig.char,
+                    layout,
+                    id,
+                    declared,
+                    suggested,
+                    deviation: declared ? CatalogAnalyzer.rectDeviation(declared, suggested) : 1
+                };
+                if (!declared) report.missing.push(entry);
+                else if (entry.deviation > tolerance) report.mismatches.push(entry);
+            }
+        }
+        return report;
+    }
+
+    /**
+     * カタログに手入力された画数と、KAGEデータから数えた画数を比較します。
+     * 文字全体の画数 (CharConfig.strokes) は文字のグリフと、バリアントの画数はバリアントのグリフと比較します。
+     * @param {CharConfig[]} [chars] - 検査するカタログ (省略時は GlyphConfig.CHARS)
+     * @returns {Promise<{mismatches: StrokeReportEntry[], errors: {char: string, layout: string|null, error: Error}[]}>}
+     */
+    async checkStrokes(chars = GlyphConfig.CHARS) {
+        const report = { mismatches: [], errors: [] };
+        const check = async (char, layout, id, declared) => {
+            if (typeof declared !== 'number') return;
+            try {
+                const counted = this.composer.countStrokes(await this.loader.load(id));
+                if (counted !== declared) report.mismatches.push({ char, layout, id, declared, counted });
+            } catch (e) {
+                report.errors.push({ char, layout, error: e });
+            }
+        };
+
+        for (const charConfig of chars) {
+            await check(charConfig.char, null, charConfig.char, charConfig.strokes);
+            for (const [layout, variant] of Object.entries(charConfig.variants || {})) {
+                if (typeof variant === 'object' && variant.id) {
+                    await check(charConfig.char, layout, variant.id, variant.strokes);
+                }
+            }
+        }
+        return report;
+    }
+}
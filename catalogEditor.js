@@ -0,0 +1,561 @@
+/**
+ * パーツカタログ編集パネル
+ * 文字の追加・削除、レイアウトとバリアントの指定、有効領域 (rect)・囲みの内側の領域 (inner) のドラッグ編集を行い、
+ * 編集結果が検証を通るたびに GlyphConfig へ即座に反映します。
+ */
+class CatalogEditor {
+    /**
+     * @param {Object.<string, HTMLElement>} el - パネル内の要素
+     *   (charSelect, newChar, addButton, deleteButton, layouts, weight, strokes,
+     *    variantLayout, variantId, variantStrokes, preview, rectTarget, rectInfo, rectClear, rectAuto, rectCheck,
+     *    strokeCheck, report, issues, saveButton)
+     * @param {GlyphLoader} loader - プレビュー用のグリフ読み込み
+     * @param {KanjiRenderer} renderer - プレビュー描画
+     * @param {function(CharConfig[]): void} onChange - カタログを適用したときのコールバック
+     */
+    constructor(el, loader, renderer, onChange) {
+        this.el = el;
+        this.loader = loader;
+        this.renderer = renderer;
+        this.onChange = onChange;
+        /** @type {CatalogAnalyzer} 有効領域・画数の自動検出 */
+        this.analyzer = new CatalogAnalyzer(loader);
+        /** @type {CharConfig[]} 編集中のカタログ (GlyphConfigとは別のコピー) */
+        this.chars = CatalogEditor._clone(GlyphConfig.CHARS);
+        /** @type {number} 編集中の文字のインデックス */
+        this.index = 0;
+        /** @type {string|null} プレビュー中のグリフデータ */
+        this.previewData = null;
+        /** @type {{handle: string, startX: number, startY: number, startRect: number[]}|null} ドラッグ状態 */
+        this.drag = null;
+
+        this._bindEvents();
+        this.render();
+    }
+
+    /** ハンドルの当たり判定の半径 (px) */
+    static get HANDLE_RADIUS() { return 8; }
+
+    /** @private */
+    static _clone(chars) {
+        return JSON.parse(JSON.stringify(chars));
+    }
+
+    /**
+     * 編集中の文字設定を返します。
+     * @returns {CharConfig|undefined}
+     */
+    get current() {
+        return this.chars[this.index];
+    }
+
+    /**
+     * 編集中のバリアントのレイアウトIDを返します。
+     * @returns {string}
+     */
+    get variantLayout() {
+        return this.el.variantLayout.value;
+    }
+
+    /**
+     * ドラッグで編集する領域のキー ('rect' または 'inner') を返します。
+     * @returns {string}
+     */
+    get rectKey() {
+        return this.el.rectTarget.value;
+    }
+
+    /**
+     * 編集中のバリアントをオブジェクト形式で返します。文字列形式の定義はオブジェクトに変換されます。
+     * @param {boolean} create - 存在しない場合に作成するか
+     * @returns {Variant|null}
+     */
+    _getVariant(create) {
+        const entry = this.current;
+        const layout = this.variantLayout;
+        if (!entry || !layout) return null;
+        let variant = entry.variants ? entry.variants[layout] : undefined;
+        if (typeof variant === 'string') variant = { id: variant };
+        if (!variant && create) variant = { id: '' };
+        if (variant) {
+            entry.variants = entry.variants || {};
+            entry.variants[layout] = variant;
+        }
+        return variant || null;
+    }
+
+    /**
+     * 外部から読み込んだカタログで編集内容を置き換えます。
+     * @param {CharConfig[]} chars
+     */
+    reload(chars) {
+        this.chars = CatalogEditor._clone(chars);
+        this.index = 0;
+        this.render();
+    }
+
+    /** @private */
+    _bindEvents() {
+        const el = this.el;
+        el.charSelect.onchange = () => {
+            this.index = parseInt(el.charSelect.value, 10);
+            this.render();
+        };
+        el.addButton.onclick = () => this._addChar();
+        el.deleteButton.onclick = () => this._deleteChar();
+        el.weight.oninput = () => {
+            this._setNumber(this.current, 'weight', el.weight.value, parseFloat);
+            this._commit();
+        };
+        el.strokes.oninput = () => {
+            this._setNumber(this.current, 'strokes', el.strokes.value, v => parseInt(v, 10));
+            this._commit();
+        };
+        el.variantLayout.onchange = () => this._renderVariant();
+        el.variantId.onchange = () => this._setVariantId(el.variantId.value.trim());
+        el.variantStrokes.oninput = () => {
+            const variant = this._getVariant(false);
+            if (!variant) return;
+            this._setNumber(variant, 'strokes', el.variantStrokes.value, v => parseInt(v, 10));
+            this._commit();
+        };
+        el.rectTarget.onchange = () => this._drawPreview();
+        el.rectClear.onclick = () => {
+            const variant = this._getVariant(false);
+            if (!variant) return;
+            delete variant[this.rectKey];
+            this._commit();
+            this._drawPreview();
+        };
+        el.rectAuto.onclick = () => this._autoRect();
+        el.rectCheck.onclick = () => this._checkRects();
+        el.strokeCheck.onclick = () => this._checkStrokes();
+        el.saveButton.onclick = () => this._save();
+
+        el.preview.onmousedown = (e) => this._startDrag(e);
+        window.addEventListener('mousemove', (e) => this._moveDrag(e));
+        window.addEventListener('mouseup', () => this._endDrag());
+    }
+
+    /**
+     * 入力値を数値プロパティに設定します。空欄の場合はプロパティを削除します。
+     * @private
+     */
+    _setNumber(target, key, value, parse) {
+        if (!target) return;
+        if (value === '') delete target[key];
+        else target[key] = parse(value);
+    }
+
+    /** @private */
+    _addChar() {
+        const char = this.el.newChar.value.trim();
+        if (!char) return;
+        const existing = this.chars.findIndex(c => c.char === char);
+        if (existing >= 0) {
+            this.index = existing;
+        } else {
+            this.chars.push({ char, layouts: ['ADD_RIGHT'], weight: 1 });
+            this.index = this.chars.length - 1;
+        }
+        this.el.newChar.value = '';
+        this.render();
+        this._commit();
+    }
+
+    /** @private */
+    _deleteChar() {
+        if (!this.current || this.chars.length <= 1) return;
+        this.chars.splice(this.index, 1);
+        this.index = Math.min(this.index, this.chars.length - 1);
+        this.render();
+        this._commit();
+    }
+
+    /**
+     * レイアウトの許可を切り替えます。許可を外したレイアウトのバリアントと重みも削除されます。
+     * @private
+     */
+    _toggleLayout(layout, enabled) {
+        const entry = this.current;
+        if (enabled && !entry.layouts.includes(layout)) {
+            entry.layouts.push(layout);
+        } else if (!enabled) {
+            entry.layouts = entry.layouts.filter(l => l !== layout);
+            if (entry.variants) {
+                delete entry.variants[layout];
+                if (Object.keys(entry.variants).length === 0) delete entry.variants;
+            }
+            if (entry.layoutWeights) {
+                delete entry.layoutWeights[layout];
+                if (Object.keys(entry.layoutWeights).length === 0) delete entry.layoutWeights;
+            }
+        }
+        this.render();
+        this._renderVariant();
+        this._commit();
+    }
+
+    /**
+     * レイアウトごとの重みを設定します。空欄の場合は重みを削除します (重み1)。
+     * @private
+     */
+    _setLayoutWeight(layout, value) {
+        const entry = this.current;
+        if (!entry.layoutWeights) entry.layoutWeights = {};
+        this._setNumber(entry.layoutWeights, layout, value, parseFloat);
+        if (Object.keys(entry.layoutWeights).length === 0) delete entry.layoutWeights;
+        this._commit();
+    }
+
+    /**
+     * バリアントのグリフIDを設定します。空欄の場合はバリアントを削除します。
+     * @private
+     */
+    _setVariantId(id) {
+        const entry = this.current;
+        if (!id) {
+            if (entry.variants) {
+                delete entry.variants[this.variantLayout];
+                if (Object.keys(entry.variants).length === 0) delete entry.variants;
+            }
+        } else {
+            this._getVariant(true).id = id;
+        }
+        this._commit();
+        this._renderVariant();
+    }
+
+    /**
+     * プレビュー中のグリフのインクの範囲から有効領域を設定します。
+     * @private
+     */
+    _autoRect() {
+        const variant = this._getVariant(false);
+        if (!variant || !variant.id || !this.previewData) return;
+        let rect;
+        try {
+            rect = this.analyzer.suggestRect(this.previewData);
+        } catch (e) {
+            this.el.rectInfo.textContent = `Rectを検出できません: ${e.message}`;
+            return;
+        }
+        if (!rect) return;
+        variant.rect = rect;
+        this._commit();
+        this._drawPreview();
+    }
+
+    /**
+     * 編集中のカタログのすべてのバリアントについて、有効領域とインクの範囲のずれを報告します。
+     * @private
+     */
+    async _checkRects() {
+        const out = this.el.report;
+        out.textContent = 'Rectを検査中...';
+        const report = await this.analyzer.checkRects(this.chars);
+        const lines = [];
+        for (const m of report.mismatches) {
+            lines.push(`${m.char} ${m.layout} (${m.id}): [${m.declared.join(', ')}] → 推定 [${m.suggested.join(', ')}]`);
+        }
+        for (const m of report.missing) {
+            lines.push(`${m.char} ${m.layout} (${m.id}): 未指定 → 推定 [${m.suggested.join(', ')}]`);
+        }
+        for (const e of report.errors) {
+            lines.push(`${e.char} ${e.layout}: 読み込み失敗 (${e.error.message})`);
+        }
+        out.textContent = lines.length > 0 ? lines.join('\n') : 'すべてのRectがインクの範囲と一致しています';
+    }
+
+    /**
+     * 編集中のカタログに手入力された画数と、KAGEデータから数えた画数の食い違いを報告します。
+     * @private
+     */
+    async _checkStrokes() {
+        const out = this.el.report;
+        out.textContent = '画数を検査中...';
+        const report = await this.analyzer.checkStrokes(this.chars);
+        const lines = [];
+        for (const m of report.mismatches) {
+            const where = m.layout ? `${m.char} ${m.layout} (${m.id})` : m.char;
+            lines.push(`${where}: 記載 ${m.declared}画 / 実測 ${m.counted}画`);
+        }
+        for (const e of report.errors) {
+            lines.push(`${e.char}${e.layout ? ' ' + e.layout : ''}: 読み込み失敗 (${e.error.message})`);
+        }
+        out.textContent = lines.length > 0 ? lines.join('\n') : '記載されたすべての画数がKAGEデータと一致しています';
+    }
+
+    /**
+     * 編集中のカタログを検証し、問題がなければGlyphConfigへ適用します。
+     * @returns {boolean} 適用できたかどうか
+     * @private
+     */
+    _commit() {
+        const issues = GlyphCatalog.validate(this.chars);
+        if (issues.length > 0) {
+            this.el.issues.textContent = issues.map(i => `${i.path}: ${i.message}`).join('\n');
+            this.el.issues.style.display = 'block';
+            return false;
+        }
+        this.el.issues.style.display = 'none';
+        GlyphConfig.setCatalog(CatalogEditor._clone(this.chars));
+        this._renderCharSelect();
+        this.onChange(GlyphConfig.CHARS);
+        return true;
+    }
+
+    /**
+     * 編集中のカタログをカタログ形式のJSONファイルとして保存します。
+     * @private
+     */
+    _save() {
+        if (!this._commit()) return;
+        const blob = new Blob([GlyphCatalog.stringify(this.chars)], { type: 'application/json' });
+        const a = document.createElement('a');
+        a.href = URL.createObjectURL(blob);
+        a.download = 'catalog.json';
+        a.click();
+        // クリック直後に解放するとダウンロードが中断されるブラウザがあるため、少し待ってから解放する
+        setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+    }
+
+    /**
+     * パネル全体を再描画します。
+     */
+    render() {
+        const entry = this.current;
+        this._renderCharSelect();
+        if (!entry) return;
+        this.el.weight.value = entry.weight !== undefined ? entry.weight : '';
+        this.el.strokes.value = entry.strokes !== undefined ? entry.strokes : '';
+
+        this.el.layouts.innerHTML = '';
+        for (const [layout, label] of Object.entries(GlyphConfig.LAYOUT_LABELS)) {
+            const row = document.createElement('label');
+            row.style.fontWeight = 'normal';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = entry.layouts.includes(layout);
+            checkbox.onchange = () => this._toggleLayout(layout, checkbox.checked);
+            row.appendChild(checkbox);
+            row.appendChild(document.createTextNode(label));
+            const weight = document.createElement('input');
+            weight.type = 'number';
+            weight.min = '0';
+            weight.step = '0.1';
+            weight.placeholder = '1';
+            weight.title = 'ランダム選択時のこのレイアウトの重み';
+            weight.style.cssText = 'width:50px; float:right;';
+            weight.disabled = !checkbox.checked;
+            weight.value = entry.layoutWeights && entry.layoutWeights[layout] !== undefined ? entry.layoutWeights[layout] : '';
+            weight.oninput = () => this._setLayoutWeight(layout, weight.value);
+            row.appendChild(weight);
+            this.el.layouts.appendChild(row);
+        }
+        this._renderVariantLayouts();
+        this._renderVariant();
+    }
+
+    /** @private */
+    _renderCharSelect() {
+        this.el.charSelect.innerHTML = '';
+        this.chars.forEach((c, i) => {
+            const option = document.createElement('option');
+            option.value = i;
+            option.textContent = c.char;
+            this.el.charSelect.appendChild(option);
+        });
+        this.el.charSelect.value = this.index;
+    }
+
+    /** @private */
+    _renderVariantLayouts() {
+        const select = this.el.variantLayout;
+        const previous = select.value;
+        select.innerHTML = '';
+        for (const layout of this.current.layouts) {
+            const option = document.createElement('option');
+            option.value = layout;
+            option.textContent = GlyphConfig.LAYOUT_LABELS[layout] || layout;
+            select.appendChild(option);
+        }
+        if (this.current.layouts.includes(previous)) select.value = previous;
+    }
+
+    /**
+     * 編集中のバリアントの入力欄とプレビューを更新します。
+     * @private
+     */
+    async _renderVariant() {
+        const variant = this._getVariant(false);
+        this.el.variantId.value = variant ? variant.id : '';
+        this.el.variantStrokes.value = variant && variant.strokes !== undefined ? variant.strokes : '';
+
+        // バリアントが無いレイアウトでは文字そのものをプレビューする
+        const { id } = GlyphConfig.getVariantInfo(this.current, this.variantLayout);
+        this.previewData = null;
+        this.el.variantStrokes.placeholder = '';
+        this._drawPreview();
+        try {
+            const data = await this.loader.load(id);
+            if (GlyphConfig.getVariantInfo(this.current, this.variantLayout).id !== id) return; // 読み込み中に切り替わった
+            this.previewData = data;
+            this.el.variantStrokes.placeholder = `自動 (${this.analyzer.composer.countStrokes(data)})`;
+            this._drawPreview();
+        } catch (e) {
+            this.el.rectInfo.textContent = `プレビューを読み込めません: ${e.message}`;
+        }
+    }
+
+    /**
+     * プレビューのグリフと有効領域を描画します。
+     * @private
+     */
+    _drawPreview() {
+        const canvas = this.el.preview;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        if (this.previewData) this.renderer.draw(canvas, this.previewData, 200, 40000);
+
+        const variant = this._getVariant(false);
+        const key = this.rectKey;
+        const label = key === 'inner' ? 'Inner' : 'Rect';
+        // 編集対象でない方の領域は破線で表示する
+        const other = key === 'inner' ? 'rect' : 'inner';
+        if (variant && variant[other]) {
+            const [ox, oy, ow, oh] = variant[other].map((v, i) => v * (i % 2 === 0 ? canvas.width : canvas.height));
+            ctx.save();
+            ctx.strokeStyle = '#999';
+            ctx.setLineDash([4, 3]);
+            ctx.strokeRect(ox, oy, ow, oh);
+            ctx.restore();
+        }
+
+        const rect = variant && variant[key] ? variant[key] : null;
+        if (!rect) {
+            this.el.rectInfo.textContent = variant
+                ? `${label}: 未指定 (${key === 'inner' ? 'レイアウトの既定値' : '全体'})。ドラッグで指定`
+                : 'バリアント未指定';
+            return;
+        }
+
+        const [x, y, w, h] = rect.map((v, i) => v * (i % 2 === 0 ? canvas.width : canvas.height));
+        ctx.save();
+        ctx.strokeStyle = '#0056b3';
+        ctx.fillStyle = 'rgba(0, 86, 179, 0.1)';
+        ctx.fillRect(x, y, w, h);
+        ctx.strokeRect(x, y, w, h);
+        ctx.fillStyle = '#0056b3';
+        for (const [hx, hy] of Object.values(this._handlePositions())) {
+            ctx.fillRect(hx - 4, hy - 4, 8, 8);
+        }
+        ctx.restore();
+        this.el.rectInfo.textContent = `${label}: [${rect.join(', ')}]`;
+    }
+
+    /**
+     * 有効領域の四隅のハンドル位置 (px) を返します。
+     * @returns {Object.<string, number[]>}
+     * @private
+     */
+    _handlePositions() {
+        const variant = this._getVariant(false);
+        const canvas = this.el.preview;
+        const [x, y, w, h] = variant[this.rectKey];
+        const W = canvas.width, H = canvas.height;
+        return {
+            nw: [x * W, y * H],
+            ne: [(x + w) * W, y * H],
+            sw: [x * W, (y + h) * H],
+            se: [(x + w) * W, (y + h) * H]
+        };
+    }
+
+    /** @private */
+    _canvasPoint(e) {
+        const bounds = this.el.preview.getBoundingClientRect();
+        return [e.clientX - bounds.left, e.clientY - bounds.top];
+    }
+
+    /**
+     * ドラッグを開始します。ハンドル上なら角の移動、領域内なら全体の移動、
+     * 領域が未指定なら新しい領域の作成になります。
+     * @private
+     */
+    _startDrag(e) {
+        const variant = this._getVariant(false);
+        if (!variant || !variant.id) return;
+        const [px, py] = this._canvasPoint(e);
+        const W = this.el.preview.width, H = this.el.preview.height;
+
+        let handle = null;
+        const key = this.rectKey;
+        if (variant[key]) {
+            for (const [name, [hx, hy]] of Object.entries(this._handlePositions())) {
+                if (Math.abs(px - hx) <= CatalogEditor.HANDLE_RADIUS && Math.abs(py - hy) <= CatalogEditor.HANDLE_RADIUS) {
+                    handle = name;
+                }
+            }
+            const [x, y, w, h] = variant[key];
+            if (!handle && px >= x * W && px <= (x + w) * W && py >= y * H && py <= (y + h) * H) {
+                handle = 'move';
+            }
+        }
+        if (!handle) {
+            // 押した位置から新しい領域を作る
+            variant[key] = [px / W, py / H, 0, 0].map(CatalogEditor._round);
+            handle = 'se';
+        }
+        this.drag = { handle, startX: px, startY: py, startRect: [...variant[key]] };
+        e.preventDefault();
+    }
+
+    /** @private */
+    _moveDrag(e) {
+        if (!this.drag) return;
+        const variant = this._getVariant(false);
+        if (!variant) return;
+        const [px, py] = this._canvasPoint(e);
+        const dx = (px - this.drag.startX) / this.el.preview.width;
+        const dy = (py - this.drag.startY) / this.el.preview.height;
+        let [x, y, w, h] = this.drag.startRect;
+        let x2 = x + w, y2 = y + h;
+
+        const handle = this.drag.handle;
+        if (handle === 'move') {
+            x = Math.min(Math.max(x + dx, 0), 1 - w);
+            y = Math.min(Math.max(y + dy, 0), 1 - h);
+            x2 = x + w;
+            y2 = y + h;
+        } else {
+            if (handle.includes('w')) x += dx; else x2 += dx;
+            if (handle.includes('n')) y += dy; else y2 += dy;
+        }
+        // 辺の位置を丸めてから幅・高さを求め、x + w が1を超えないようにする
+        const edge = v => CatalogEditor._round(Math.min(Math.max(v, 0), 1));
+        const left = edge(Math.min(x, x2)), right = edge(Math.max(x, x2));
+        const top = edge(Math.min(y, y2)), bottom = edge(Math.max(y, y2));
+        variant[this.rectKey] = [left, top, CatalogEditor._round(right - left), CatalogEditor._round(bottom - top)];
+        this._drawPreview();
+    }
+
+    /** @private */
+    _endDrag() {
+        if (!this.drag) return;
+        this.drag = null;
+        const variant = this._getVariant(false);
+        // 幅・高さが0の領域 (クリックのみ) は指定なしとして扱う
+        const key = this.rectKey;
+        if (variant && variant[key] && (variant[key][2] === 0 || variant[key][3] === 0)) {
+            delete variant[key];
+            this._drawPreview();
+        }
+        this._commit();
+    }
+
+    /** @private */
+    static _round(v) {
+        return Math.round(v * 100) / 100;
+    }
+}
@@ -0,0 +1,267 @@
+/**
+ * 合成の構成木
+ * 合成結果をKAGE文字列だけでなく「どのパーツをどのレイアウトで組み合わせたか」の木として保持し、
+ * 奥深くのパーツの削除・置換・レイアウト変更を可能にします。
+ * ノードはJSONにそのまま書き出せるプレーンなオブジェクトで、操作はすべて新しい木を返します (元の木は変更しません)。
+ */
+
+/**
+ * @typedef {Object} GlyphLeaf
+ * @property {'glyph'} type
+ * @property {string} id - グリフID (バリアント解決済み)
+ * @property {string} [char] - カタログ上の文字 (レイアウト変更時のバリアント再解決に使用)
+ * @property {number[]} [rect] - 有効領域 [x, y, w, h]
+ * @property {number[]} [inner] - 囲みパーツの内側の領域 [x, y, w, h]
+ * @property {number} [strokes] - 画数の上書き (省略時はKAGEデータから数える)
+ */
+
+/**
+ * 構成が分からない合成済みデータ (構成木を持たないJSONの読み込み結果など)
+ * @typedef {Object} DataLeaf
+ * @property {'data'} type
+ * @property {string} data - KAGEデータ
+ * @property {number} logicalSize - 論理サイズ
+ * @property {number} [logicalWidth] - 論理的な幅 (省略時は logicalSize)
+ * @property {number} [logicalHeight] - 論理的な高さ (省略時は logicalSize)
+ * @property {number} area - 論理面積
+ * @property {number} strokes - 画数
+ */
+
+/**
+ * @typedef {Object} LayoutNode
+ * @property {'layout'} type
+ * @property {string} layout - レイアウトID
+ * @property {number} areaFactor - 面積増加係数
+ * @property {Object} [params] - レイアウト固有のパラメータ (OVERLAY の align, scale 等) と、合成したときの縦横比の扱い (aspectPolicy)・分割比率への複雑さの反映 (proportionExponent)
+ * @property {CompositionNode[]} children - [既存部分, 追加パーツ]
+ */
+
+/**
+ * @typedef {GlyphLeaf|DataLeaf|LayoutNode} CompositionNode
+ */
+
+class CompositionTree {
+    /**
+     * カタログの文字設定からパーツの葉を作ります。
+     * @param {CharConfig} charConfig - 文字設定
+     * @param {string} [layoutMode] - 配置するレイアウト (省略時は文字そのもの)
+     * @returns {GlyphLeaf}
+     */
+    static leaf(charConfig, layoutMode) {
+        const { id, rect, strokes, inner } = GlyphConfig.getVariantInfo(charConfig, layoutMode);
+        const leaf = { type: 'glyph', id, char: charConfig.char };
+        if (rect) leaf.rect = [rect.x, rect.y, rect.w, rect.h];
+        if (inner) leaf.inner = [inner.x, inner.y, inner.w, inner.h];
+        if (strokes !== undefined) leaf.strokes = strokes;
+        return leaf;
+    }
+
+    /**
+     * 合成済みデータから構成不明の葉を作ります。
+     * @param {{data: string, logicalSize: number, logicalWidth?: number, logicalHeight?: number, area: number, strokes: number}} state
+     * @returns {DataLeaf}
+     */
+    static raw(state) {
+        const { width, height } = KanjiComposer.getLogicalBox(state);
+        return {
+            type: 'data', data: state.data, logicalSize: state.logicalSize,
+            logicalWidth: width, logicalHeight: height, area: state.area, strokes: state.strokes
+        };
+    }
+
+    /**
+     * レイアウトのノードを作ります。
+     * @param {string} layout - レイアウトID
+     * @param {CompositionNode[]} children - [既存部分, 追加パーツ]
+     * @param {number} areaFactor - 面積増加係数
+     * @param {Object} [params] - レイアウト固有のパラメータ
+     * @returns {LayoutNode}
+     */
+    static node(layout, children, areaFactor, params) {
+        const node = { type: 'layout', layout, areaFactor, children };
+        if (params && Object.keys(params).length > 0) node.params = { ...params };
+        return node;
+    }
+
+    /**
+     * 葉の有効領域 (または囲みの内側の領域) を Rect 形式で返します。
+     * @param {GlyphLeaf} leaf
+     * @param {string} [key='rect'] - 'rect' または 'inner'
+     * @returns {Rect|null}
+     */
+    static getRect(leaf, key = 'rect') {
+        if (!leaf[key]) return null;
+        const [x, y, w, h] = leaf[key];
+        return { x, y, w, h };
+    }
+
+    /**
+     * 指定パスのノードを返します。
+     * @param {CompositionNode} tree
+     * @param {number[]} path - ルートからの子インデックスの列 (空配列ならルート)
+     * @returns {CompositionNode}
+     * @throws {Error} パスが存在しない場合
+     */
+    static getAt(tree, path) {
+        let node = tree;
+        for (const index of path) {
+            if (!node.children || !node.children[index]) {
+                throw new Error(`No composition node at path [${path.join(', ')}]`);
+            }
+            node = node.children[index];
+        }
+        return node;
+    }
+
+    /**
+     * 指定パスのノードを置き換えた新しい木を返します。
+     * @param {CompositionNode} tree
+     * @param {number[]} path
+     * @param {CompositionNode|function(CompositionNode): CompositionNode} replacement - 新しいノード、または元のノードを受け取って新しいノードを返す関数
+     * @returns {CompositionNode}
+     */
+    static replaceAt(tree, path, replacement) {
+        if (path.length === 0) {
+            return typeof replacement === 'function' ? replacement(tree) : replacement;
+        }
+        const [index, ...rest] = path;
+        if (!tree.children || !tree.children[index]) {
+            throw new Error(`No composition node at path [${path.join(', ')}]`);
+        }
+        const children = [...tree.children];
+        children[index] = CompositionTree.replaceAt(children[index], rest, replacement);
+        return { ...tree, children };
+    }
+
+    /**
+     * 指定パスのノードをカタログのパーツで置き換えた新しい木を返します。
+     * 追加パーツの位置であれば、親のレイアウト用のバリアントに解決します。
+     * @param {CompositionNode} tree
+     * @param {number[]} path
+     * @param {CharConfig} charConfig - 置き換えるパーツの文字設定
+     * @returns {CompositionNode}
+     */
+    static replaceWithChar(tree, path, charConfig) {
+        let layout;
+        if (path.length > 0 && path[path.length - 1] > 0) {
+            layout = CompositionTree.getAt(tree, path.slice(0, -1)).layout;
+        }
+        return CompositionTree.replaceAt(tree, path, CompositionTree.leaf(charConfig, layout));
+    }
+
+    /**
+     * 指定パスのノードを取り除いた新しい木を返します。
+     * 子が1つだけになったレイアウトのノードは、残った子で置き換えられます。
+     * 子が無くなったノード (既存部分を複製する繰り返し) は、そのノードごと取り除きます。
+     * @param {CompositionNode} tree
+     * @param {number[]} path - 取り除くノードのパス (ルートは取り除けません)
+     * @returns {CompositionNode}
+     * @throws {Error} ルートを指定した場合
+     */
+    static removeAt(tree, path) {
+        if (path.length === 0) throw new Error('Cannot remove the root of a composition tree');
+        const parentPath = path.slice(0, -1);
+        const index = path[path.length - 1];
+        if (CompositionTree.getAt(tree, parentPath).children.length === 1) {
+            return CompositionTree.removeAt(tree, parentPath);
+        }
+        return CompositionTree.replaceAt(tree, parentPath, parent => {
+            const children = parent.children.filter((_, i) => i !== index);
+            return children.length === 1 ? children[0] : { ...parent, children };
+        });
+    }
+
+    /**
+     * 指定パスのレイアウトを変更した新しい木を返します。
+     * 追加パーツが文字設定から作られた葉であれば、新しいレイアウト用のバリアントに解決し直します。
+     * @param {CompositionNode} tree
+     * @param {number[]} path - レイアウトのノードのパス
+     * @param {string} layout - 新しいレイアウトID
+     * @returns {CompositionNode}
+     * @throws {Error} 指定パスがレイアウトのノードでない場合
+     */
+    static relayoutAt(tree, path, layout) {
+        return CompositionTree.replaceAt(tree, path, node => {
+            if (node.type !== 'layout') throw new Error(`Composition node at [${path.join(', ')}] is not a layout`);
+            const children = node.children.map((child, i) => {
+                if (i === 0 || child.type !== 'glyph' || !child.char) return child;
+                const charConfig = GlyphConfig.CHARS.find(c => c.char === child.char);
+                return charConfig ? CompositionTree.leaf(charConfig, layout) : child;
+            });
+            return { ...node, layout, children };
+        });
+    }
+
+    /**
+     * 木を深さ優先でたどり、すべてのノードをパス付きで列挙します。
+     * @param {CompositionNode} tree
+     * @returns {{path: number[], depth: number, node: CompositionNode}[]}
+     */
+    static list(tree) {
+        const result = [];
+        const visit = (node, path) => {
+            result.push({ path, depth: path.length, node });
+            (node.children || []).forEach((child, i) => visit(child, [...path, i]));
+        };
+        visit(tree, []);
+        return result;
+    }
+
+    /**
+     * 木に含まれるグリフIDを重複なく返します。
+     * @param {CompositionNode} tree
+     * @returns {string[]}
+     */
+    static getGlyphIds(tree) {
+        const ids = CompositionTree.list(tree).filter(e => e.node.type === 'glyph').map(e => e.node.id);
+        return [...new Set(ids)];
+    }
+
+    /**
+     * 木に含まれるパーツの文字を、使われた回数だけ返します。
+     * 繰り返し系レイアウトで複製されたパーツは1回として数えます。
+     * @param {CompositionNode} tree
+     * @returns {string[]}
+     */
+    static getChars(tree) {
+        return CompositionTree.list(tree).filter(e => e.node.type === 'glyph' && e.node.char).map(e => e.node.char);
+    }
+
+    /**
+     * 木の深さ (パーツ単体は0、1回合成するごとに1増える) を返します。
+     * @param {CompositionNode} tree
+     * @returns {number}
+     */
+    static depth(tree) {
+        return Math.max(...CompositionTree.list(tree).map(e => e.depth));
+    }
+
+    /**
+     * ノードの表示用ラベルを返します。
+     * @param {CompositionNode} node
+     * @returns {string}
+     */
+    static label(node) {
+        if (node.type === 'layout') return GlyphConfig.LAYOUT_LABELS[node.layout] || node.layout;
+        if (node.type === 'glyph') return node.char && node.char !== node.id ? `${node.char} (${node.id})` : node.id;
+        return '(構成不明のデータ)';
+    }
+
+    /**
+     * JSONから読み込んだ構成木の形を検証します。
+     * @param {*} node
+     * @returns {boolean}
+     */
+    static isValid(node) {
+        if (node === null || typeof node !== 'object') return false;
+        if (node.type === 'glyph') {
+            return typeof node.id === 'string' && node.id.length > 0 && (node.char === undefined || typeof node.char === 'string');
+        }
+        if (node.type === 'data') return typeof node.data === 'string' && typeof node.logicalSize === 'number';
+        if (node.type === 'layout') {
+            return typeof node.layout === 'string' && Array.isArray(node.children) && node.children.length > 0
+                && node.children.every(child => CompositionTree.isValid(child));
+        }
+        return false;
+    }
+}
@@ -0,0 +1,271 @@
+/**
+ * グリフの永続キャッシュ
+ * GlyphLoaderのメモリキャッシュの背後に置き、ページ再読み込み後もグリフデータを再利用します。
+ * ストアは get/set/delete/clear/entries を持つ非同期のキーバリューストアです。
+ */
+
+/**
+ * @typedef {Object} GlyphCacheEntry
+ * @property {string} id - GlyphWiki ID
+ * @property {string} data - KAGEデータ文字列
+ * @property {number|null} revision - GlyphWiki上の版番号
+ * @property {number} timestamp - 保存時刻 (ミリ秒)
+ * @property {number} version - キャッシュ形式のバージョン
+ */
+
+/** キャッシュ形式のバージョン。形式を変更した場合はこの値を上げ、古いエントリを無効化します。 */
+const GLYPH_CACHE_VERSION = 2;
+
+/**
+ * IndexedDBを使用するストア (ブラウザ用)
+ */
+class IndexedDBGlyphStore {
+    /**
+     * @param {string} [dbName] - データベース名
+     */
+    constructor(dbName = 'kanji-glyph-cache') {
+        this.dbName = dbName;
+        this.storeName = 'glyphs';
+        /** @type {Promise<IDBDatabase>|null} */
+        this._db = null;
+    }
+
+    /**
+     * データベースを開きます。
+     * @returns {Promise<IDBDatabase>}
+     * @private
+     */
+    _open() {
+        if (!this._db) {
+            this._db = new Promise((resolve, reject) => {
+                const req = indexedDB.open(this.dbName, 1);
+                req.onupgradeneeded = () => {
+                    req.result.createObjectStore(this.storeName, { keyPath: 'id' });
+                };
+                req.onsuccess = () => resolve(req.result);
+                req.onerror = () => reject(req.error);
+            });
+        }
+        return this._db;
+    }
+
+    /**
+     * オブジェクトストアに対してリクエストを発行し、結果を待ちます。
+     * @param {IDBTransactionMode} mode
+     * @param {function(IDBObjectStore): IDBRequest} fn
+     * @returns {Promise<*>}
+     * @private
+     */
+    async _request(mode, fn) {
+        const db = await this._open();
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(this.storeName, mode);
+            const req = fn(tx.objectStore(this.storeName));
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+
+    /** @returns {Promise<GlyphCacheEntry|undefined>} */
+    get(id) { return this._request('readonly', s => s.get(id)); }
+    /** @returns {Promise<void>} */
+    set(id, entry) { return this._request('readwrite', s => s.put({ ...entry, id })); }
+    /** @returns {Promise<void>} */
+    delete(id) { return this._request('readwrite', s => s.delete(id)); }
+    /** @returns {Promise<void>} */
+    clear() { return this._request('readwrite', s => s.clear()); }
+    /** @returns {Promise<GlyphCacheEntry[]>} */
+    entries() { return this._request('readonly', s => s.getAll()); }
+}
+
+/**
+ * JSONファイル1つに保存するストア (Node用)
+ */
+class FileGlyphStore {
+    /**
+     * @param {string} filePath - キャッシュファイルのパス
+     */
+    constructor(filePath) {
+        this.filePath = filePath;
+        /** @type {Object.<string, GlyphCacheEntry>|null} */
+        this._table = null;
+        /** @type {Promise<void>} 書き込みの直列化用 */
+        this._writing = Promise.resolve();
+    }
+
+    /**
+     * キャッシュファイルを読み込みます。
+     * @returns {Promise<Object.<string, GlyphCacheEntry>>}
+     * @private
+     */
+    async _load() {
+        if (!this._table) {
+            const fs = require('fs');
+            try {
+                this._table = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+            } catch (e) {
+                // 存在しない・壊れたファイルは空のキャッシュとして扱う
+                this._table = {};
+            }
+        }
+        return this._table;
+    }
+
+    /**
+     * 現在の内容をファイルへ書き出します。
+     * 書き込みは順番に行い、前の書き込みが失敗しても次の書き込みは行います。
+     * @returns {Promise<void>}
+     * @private
+     */
+    _save() {
+        const fs = require('fs');
+        const json = JSON.stringify(this._table);
+        this._writing = this._writing.catch(() => {}).then(() => fs.promises.writeFile(this.filePath, json, 'utf8'));
+        return this._writing;
+    }
+
+    async get(id) { return (await this._load())[id]; }
+    async set(id, entry) { (await this._load())[id] = { ...entry, id }; await this._save(); }
+    async delete(id) { delete (await this._load())[id]; await this._save(); }
+    async clear() { this._table = {}; await this._save(); }
+    async entries() { return Object.values(await this._load()); }
+}
+
+/**
+ * 実行環境に応じた永続ストアを生成します。
+ * @param {Object} [options]
+ * @param {string} [options.filePath] - Node環境でのキャッシュファイルのパス
+ * @returns {IndexedDBGlyphStore|FileGlyphStore|null} 利用できない環境ではnull
+ */
+function createGlyphStore(options = {}) {
+    if (typeof indexedDB !== 'undefined') return new IndexedDBGlyphStore();
+    if (typeof require === 'function') return new FileGlyphStore(options.filePath || '.glyph-cache.json');
+    return null;
+}
+
+/**
+ * 永続キャッシュ
+ * エントリの有効期限 (TTL) と形式バージョンの確認、統計情報の集計を行います。
+ * ストアのエラー (IndexedDBを開けない、容量超過など) は読み込みを妨げないよう、キャッシュミスとして扱います。
+ */
+class PersistentGlyphCache {
+    /**
+     * @param {Object} store - 永続ストア (IndexedDBGlyphStore / FileGlyphStore)
+     * @param {Object} [options]
+     * @param {number} [options.ttl] - 有効期限 (ミリ秒)。省略時は7日
+     */
+    constructor(store, options = {}) {
+        this.store = store;
+        this.ttl = options.ttl !== undefined ? options.ttl : 7 * 24 * 60 * 60 * 1000;
+        this.hits = 0;
+        this.misses = 0;
+        /** @type {number} ストアの読み書きに失敗した回数 */
+        this.errors = 0;
+    }
+
+    /**
+     * エントリが有効かどうかを判定します。
+     * 版指定付きの名前 ("u6728-01@3") の内容は変わらないため、有効期限を適用しません。
+     * @param {GlyphCacheEntry} entry
+     * @returns {boolean}
+     */
+    isValid(entry) {
+        return !!entry &&
+            entry.version === GLYPH_CACHE_VERSION &&
+            (entry.id.includes('@') || Date.now() - entry.timestamp <= this.ttl);
+    }
+
+    /**
+     * 有効なキャッシュデータを取得します。期限切れのエントリは削除されます。
+     * ストアから読めない場合はキャッシュミスとして null を返します。
+     * @param {string} id
+     * @returns {Promise<GlyphRecord|null>}
+     */
+    async get(id) {
+        let entry;
+        try {
+            entry = await this.store.get(id);
+        } catch (e) {
+            this.errors++;
+            this.misses++;
+            return null;
+        }
+        if (this.isValid(entry)) {
+            this.hits++;
+            return { data: entry.data, version: entry.revision };
+        }
+        this.misses++;
+        if (entry) await this.store.delete(id).catch(() => { this.errors++; });
+        return null;
+    }
+
+    /**
+     * データを保存します。
+     * 保存できなかった場合もエラーにはしません (次回はソースから取得し直します)。
+     * @param {string} id
+     * @param {GlyphRecord} record
+     * @returns {Promise<void>}
+     */
+    async set(id, record) {
+        try {
+            await this.store.set(id, {
+                id,
+                data: record.data,
+                revision: record.version,
+                timestamp: Date.now(),
+                version: GLYPH_CACHE_VERSION
+            });
+        } catch (e) {
+            this.errors++;
+        }
+    }
+
+    /**
+     * すべてのエントリを削除します。
+     * 削除できなかった場合もエラーにはせず、失敗の回数に数えます。
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        this.hits = 0;
+        this.misses = 0;
+        this.errors = 0;
+        try {
+            await this.store.clear();
+        } catch (e) {
+            this.errors++;
+        }
+    }
+
+    /**
+     * キャッシュの統計情報を集計します。
+     * ストアから読めない場合はエントリ0件として集計します。
+     * @returns {Promise<{entries: number, expired: number, bytes: number, oldest: number|null, newest: number|null, hits: number, misses: number, errors: number, ttl: number}>}
+     */
+    async getStats() {
+        let entries;
+        try {
+            entries = await this.store.entries();
+        } catch (e) {
+            this.errors++;
+            entries = [];
+        }
+        let expired = 0, bytes = 0, oldest = null, newest = null;
+        for (const entry of entries) {
+            if (!this.isValid(entry)) expired++;
+            bytes += entry.data ? entry.data.length : 0;
+            if (oldest === null || entry.timestamp < oldest) oldest = entry.timestamp;
+            if (newest === null || entry.timestamp > newest) newest = entry.timestamp;
+        }
+        return {
+            entries: entries.length,
+            expired,
+            bytes,
+            oldest,
+            newest,
+            hits: this.hits,
+            misses: this.misses,
+            errors: this.errors,
+            ttl: this.ttl
+        };
+    }
+}
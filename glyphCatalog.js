@@ -0,0 +1,329 @@
+/**
+ * パーツカタログの読み込みと検証
+ * GlyphConfig.CHARS と同じ形式のカタログをJSONファイル・URLから読み込み、
+ * catalog.schema.json と同じ規則で検証したうえで組み込みの定義とマージします。
+ */
+
+/**
+ * @typedef {Object} CatalogIssue
+ * @property {string} path - 問題のある箇所 (例: "chars[3].variants.ADD_LEFT.rect[2]")
+ * @property {string} message - 問題の内容
+ */
+
+/**
+ * カタログの検証エラー
+ */
+class CatalogValidationError extends Error {
+    /**
+     * @param {CatalogIssue[]} issues - 検出されたすべての問題
+     * @param {string} [source] - カタログの読み込み元
+     */
+    constructor(issues, source) {
+        const where = source ? ` (${source})` : '';
+        super(`Invalid part catalog${where}:\n` + issues.map(i => `  ${i.path}: ${i.message}`).join('\n'));
+        this.name = 'CatalogValidationError';
+        /** @type {CatalogIssue[]} 検出されたすべての問題 */
+        this.issues = issues;
+    }
+}
+
+class GlyphCatalog {
+    /** カタログ形式のバージョン */
+    static get VERSION() { return 1; }
+
+    /**
+     * カタログを検証し、問題の一覧を返します。
+     * ルートは { version, chars: [...] } 形式、または CharConfig の配列を受け付けます。
+     * @param {*} json - JSON.parse() 済みのカタログ
+     * @returns {CatalogIssue[]} 問題の一覧 (問題がなければ空配列)
+     */
+    static validate(json) {
+        const issues = [];
+        const report = (path, message) => issues.push({ path, message });
+
+        let chars = json;
+        let base = '';
+        if (!Array.isArray(json)) {
+            if (!GlyphCatalog._isObject(json)) {
+                report('(root)', 'must be an object with a "chars" array');
+                return issues;
+            }
+            GlyphCatalog._checkKeys(json, ['$schema', 'version', 'chars'], '(root)', report);
+            if (json.version !== undefined && json.version !== GlyphCatalog.VERSION) {
+                report('version', `unsupported catalog version ${JSON.stringify(json.version)} (expected ${GlyphCatalog.VERSION})`);
+            }
+            if (!Array.isArray(json.chars)) {
+                report('chars', 'must be an array');
+                return issues;
+            }
+            chars = json.chars;
+            base = 'chars';
+        }
+
+        const seen = {};
+        chars.forEach((entry, i) => {
+            const path = `${base}[${i}]`;
+            GlyphCatalog._validateChar(entry, path, report);
+            if (GlyphCatalog._isObject(entry) && typeof entry.char === 'string') {
+                if (seen[entry.char] !== undefined) {
+                    report(`${path}.char`, `duplicate char "${entry.char}" (already defined at ${base}[${seen[entry.char]}])`);
+                } else {
+                    seen[entry.char] = i;
+                }
+            }
+        });
+        return issues;
+    }
+
+    /**
+     * 1文字分の設定を検証します。
+     * @private
+     */
+    static _validateChar(entry, path, report) {
+        if (!GlyphCatalog._isObject(entry)) {
+            report(path, 'must be an object');
+            return;
+        }
+        GlyphCatalog._checkKeys(entry, ['char', 'layouts', 'variants', 'weight', 'layoutWeights', 'strokes'], path, report);
+
+        if (typeof entry.char !== 'string' || entry.char.length === 0) {
+            report(`${path}.char`, 'must be a non-empty string');
+        }
+
+        if (!Array.isArray(entry.layouts) || entry.layouts.length === 0) {
+            report(`${path}.layouts`, 'must be a non-empty array of layout ids');
+        } else {
+            entry.layouts.forEach((layout, j) => {
+                GlyphCatalog._checkLayoutId(layout, `${path}.layouts[${j}]`, report);
+                if (entry.layouts.indexOf(layout) !== j) {
+                    report(`${path}.layouts[${j}]`, `duplicate layout id "${layout}"`);
+                }
+            });
+        }
+
+        if (entry.variants !== undefined) {
+            if (!GlyphCatalog._isObject(entry.variants)) {
+                report(`${path}.variants`, 'must be an object keyed by layout id');
+            } else {
+                for (const [layout, variant] of Object.entries(entry.variants)) {
+                    const vPath = `${path}.variants.${layout}`;
+                    if (!GlyphCatalog._checkLayoutId(layout, vPath, report)) continue;
+                    if (Array.isArray(entry.layouts) && !entry.layouts.includes(layout)) {
+                        report(vPath, `variant for layout "${layout}" which is not listed in layouts`);
+                    }
+                    GlyphCatalog._validateVariant(variant, vPath, report);
+                }
+            }
+        }
+
+        if (entry.weight !== undefined) {
+            if (typeof entry.weight !== 'number' || !isFinite(entry.weight)) {
+                report(`${path}.weight`, 'must be a number');
+            } else if (entry.weight < 0) {
+                report(`${path}.weight`, `negative weight ${entry.weight} (must be >= 0)`);
+            }
+        }
+
+        if (entry.layoutWeights !== undefined) {
+            if (!GlyphCatalog._isObject(entry.layoutWeights)) {
+                report(`${path}.layoutWeights`, 'must be an object keyed by layout id');
+            } else {
+                for (const [layout, weight] of Object.entries(entry.layoutWeights)) {
+                    const wPath = `${path}.layoutWeights.${layout}`;
+                    if (!GlyphCatalog._checkLayoutId(layout, wPath, report)) continue;
+                    if (Array.isArray(entry.layouts) && !entry.layouts.includes(layout)) {
+                        report(wPath, `weight for layout "${layout}" which is not listed in layouts`);
+                    }
+                    if (typeof weight !== 'number' || !isFinite(weight)) {
+                        report(wPath, 'must be a number');
+                    } else if (weight < 0) {
+                        report(wPath, `negative weight ${weight} (must be >= 0)`);
+                    }
+                }
+            }
+        }
+
+        if (entry.strokes !== undefined) {
+            GlyphCatalog._checkStrokes(entry.strokes, `${path}.strokes`, report);
+        }
+    }
+
+    /**
+     * バリアント定義を検証します。
+     * @private
+     */
+    static _validateVariant(variant, path, report) {
+        if (typeof variant === 'string') {
+            if (variant.length === 0) report(path, 'glyph id must be a non-empty string');
+            return;
+        }
+        if (!GlyphCatalog._isObject(variant)) {
+            report(path, 'must be a glyph id string or an object with "id"');
+            return;
+        }
+        GlyphCatalog._checkKeys(variant, ['id', 'rect', 'strokes', 'inner'], path, report);
+        if (typeof variant.id !== 'string' || variant.id.length === 0) {
+            report(`${path}.id`, 'must be a non-empty string');
+        }
+
+        if (variant.rect !== undefined) {
+            GlyphCatalog._checkRect(variant.rect, `${path}.rect`, report);
+        }
+        if (variant.inner !== undefined) {
+            GlyphCatalog._checkRect(variant.inner, `${path}.inner`, report);
+        }
+
+        if (variant.strokes !== undefined) {
+            GlyphCatalog._checkStrokes(variant.strokes, `${path}.strokes`, report);
+        }
+    }
+
+    /**
+     * [x, y, w, h] (0.0 - 1.0) 形式の領域を検証します。
+     * @private
+     */
+    static _checkRect(rect, path, report) {
+        if (!Array.isArray(rect) || rect.length !== 4) {
+            report(path, 'must be an array of 4 numbers [x, y, w, h]');
+            return;
+        }
+        let numeric = true;
+        rect.forEach((v, k) => {
+            if (typeof v !== 'number' || !isFinite(v)) {
+                report(`${path}[${k}]`, 'must be a number');
+                numeric = false;
+            } else if (v < 0 || v > 1) {
+                report(`${path}[${k}]`, `value ${v} is outside 0-1`);
+                numeric = false;
+            }
+        });
+        if (numeric) {
+            const [x, y, w, h] = rect;
+            if (w === 0 || h === 0) report(path, 'width and height must be greater than 0');
+            // 小数の丸め誤差は許容する
+            if (x + w > 1 + 1e-9) report(path, `x + w = ${+(x + w).toFixed(4)} exceeds 1`);
+            if (y + h > 1 + 1e-9) report(path, `y + h = ${+(y + h).toFixed(4)} exceeds 1`);
+        }
+    }
+
+    /** @private */
+    static _checkLayoutId(layout, path, report) {
+        const known = Object.keys(GlyphConfig.LAYOUT_LABELS);
+        if (!known.includes(layout)) {
+            report(path, `unknown layout id "${layout}" (expected one of ${known.join(', ')})`);
+            return false;
+        }
+        return true;
+    }
+
+    /** @private */
+    static _checkStrokes(strokes, path, report) {
+        if (!Number.isInteger(strokes) || strokes < 1) {
+            report(path, `must be a positive integer (got ${JSON.stringify(strokes)})`);
+        }
+    }
+
+    /** @private */
+    static _checkKeys(obj, allowed, path, report) {
+        for (const key of Object.keys(obj)) {
+            if (!allowed.includes(key)) report(path, `unknown property "${key}"`);
+        }
+    }
+
+    /** @private */
+    static _isObject(v) {
+        return v !== null && typeof v === 'object' && !Array.isArray(v);
+    }
+
+    /**
+     * カタログを検証し、CharConfigの配列を取り出します。
+     * @param {*} json - JSON.parse() 済みのカタログ
+     * @param {string} [source] - エラーメッセージに含める読み込み元
+     * @returns {CharConfig[]}
+     * @throws {CatalogValidationError} 検証に失敗した場合
+     */
+    static parse(json, source) {
+        const issues = GlyphCatalog.validate(json);
+        if (issues.length > 0) throw new CatalogValidationError(issues, source);
+        return Array.isArray(json) ? json : json.chars;
+    }
+
+    /**
+     * 2つのカタログをマージします。
+     * 同じ文字の定義は上書き側のプロパティで置き換え、variants と layoutWeights はレイアウトごとに上書きします。
+     * 上書き側が layouts を置き換えた場合、元の定義にあった variants と layoutWeights のうち
+     * 新しい layouts に無いレイアウトのものは引き継ぎません。
+     * 新しい文字は末尾に追加されます。
+     * @param {CharConfig[]} base - 元のカタログ
+     * @param {CharConfig[]} overrides - 上書きするカタログ
+     * @returns {CharConfig[]} マージ後のカタログ (検証済み)
+     * @throws {CatalogValidationError} マージ結果が不正な場合 (例: 上書き側が layouts に無いレイアウトのバリアントを指定した)
+     */
+    static merge(base, overrides) {
+        const merged = base.map(entry => ({ ...entry }));
+        for (const entry of overrides) {
+            const existing = merged.find(e => e.char === entry.char);
+            if (existing) {
+                const layouts = entry.layouts || existing.layouts;
+                const mergeByLayout = (inherited, overriding) => {
+                    if (!inherited && !overriding) return undefined;
+                    const kept = Object.entries(inherited || {}).filter(([layout]) => layouts.includes(layout));
+                    const result = { ...Object.fromEntries(kept), ...overriding };
+                    return Object.keys(result).length > 0 ? result : undefined;
+                };
+                const variants = mergeByLayout(existing.variants, entry.variants);
+                const layoutWeights = mergeByLayout(existing.layoutWeights, entry.layoutWeights);
+                Object.assign(existing, entry);
+                if (variants) existing.variants = variants;
+                else delete existing.variants;
+                if (layoutWeights) existing.layoutWeights = layoutWeights;
+                else delete existing.layoutWeights;
+            } else {
+                merged.push({ ...entry });
+            }
+        }
+        return GlyphCatalog.parse(merged, 'merged catalog');
+    }
+
+    /**
+     * カタログをファイルパスまたはURLから読み込みます。
+     * @param {string} pathOrUrl - カタログJSONのパスまたはURL
+     * @param {Object} [options]
+     * @param {boolean} [options.merge=true] - 組み込みの定義とマージするか (falseなら置き換え)
+     * @returns {Promise<CharConfig[]>}
+     * @throws {CatalogValidationError} 検証に失敗した場合
+     */
+    static async load(pathOrUrl, options = {}) {
+        const text = await readTextResource(pathOrUrl);
+        if (text === null) throw new Error(`Catalog not found: ${pathOrUrl}`);
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            throw new CatalogValidationError([{ path: '(root)', message: `invalid JSON: ${e.message}` }], pathOrUrl);
+        }
+        const chars = GlyphCatalog.parse(json, pathOrUrl);
+        return options.merge === false ? chars : GlyphCatalog.merge(GlyphConfig.DEFAULT_CHARS, chars);
+    }
+
+    /**
+     * カタログを読み込み、GlyphConfigに設定します。
+     * @param {string} pathOrUrl - カタログJSONのパスまたはURL
+     * @param {Object} [options] - load() と同じオプション
+     * @returns {Promise<CharConfig[]>} 設定したカタログ
+     */
+    static async apply(pathOrUrl, options = {}) {
+        const chars = await GlyphCatalog.load(pathOrUrl, options);
+        GlyphConfig.setCatalog(chars);
+        return chars;
+    }
+
+    /**
+     * カタログをJSON文字列に変換します。
+     * @param {CharConfig[]} chars
+     * @returns {string}
+     */
+    static stringify(chars) {
+        return JSON.stringify({ $schema: './catalog.schema.json', version: GlyphCatalog.VERSION, chars }, null, 2);
+    }
+}
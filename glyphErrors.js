@@ -0,0 +1,117 @@
+/**
+ * グリフ読み込みのエラークラス群
+ * GlyphLoader.load() はこれらのエラーを投げ、呼び出し側は instanceof で種類を判別できます。
+ */
+
+/**
+ * グリフ読み込みエラーの基底クラス
+ */
+class GlyphLoadError extends Error {
+    /**
+     * @param {string} message - エラーメッセージ
+     * @param {string} glyphId - 失敗したグリフのID
+     * @param {Error} [cause] - 元となったエラー
+     */
+    constructor(message, glyphId, cause) {
+        super(message);
+        this.name = this.constructor.name;
+        /** @type {string} 失敗したグリフのID */
+        this.glyphId = glyphId;
+        /** @type {Error|undefined} 元となったエラー */
+        this.cause = cause;
+    }
+}
+
+/**
+ * グリフが存在しない場合のエラー
+ */
+class GlyphNotFoundError extends GlyphLoadError {
+    /**
+     * @param {string} glyphId
+     */
+    constructor(glyphId) {
+        super(`Glyph not found: ${glyphId}`, glyphId);
+    }
+}
+
+/**
+ * 通信エラー・タイムアウト
+ * 再試行の対象となります。
+ */
+class GlyphNetworkError extends GlyphLoadError {
+    /**
+     * @param {string} glyphId
+     * @param {string} reason - 失敗理由 (例: "timeout", "HTTP 503")
+     * @param {Error} [cause]
+     */
+    constructor(glyphId, reason, cause) {
+        super(`Network error while loading ${glyphId}: ${reason}`, glyphId, cause);
+        /** @type {string} 失敗理由 */
+        this.reason = reason;
+    }
+}
+
+/**
+ * KAGEデータの形式が不正な場合のエラー
+ */
+class MalformedGlyphError extends GlyphLoadError {
+    /**
+     * @param {string} glyphId
+     * @param {number} lineIndex - 不正な行の番号 (0始まり)
+     * @param {string} line - 不正な行の内容
+     */
+    constructor(glyphId, lineIndex, line) {
+        super(`Malformed KAGE data in ${glyphId} at stroke ${lineIndex}: "${line}"`, glyphId);
+        /** @type {number} 不正な行の番号 */
+        this.lineIndex = lineIndex;
+        /** @type {string} 不正な行の内容 */
+        this.line = line;
+    }
+}
+
+/**
+ * 部品参照 (99:...) 先のグリフを読み込めなかった場合のエラー
+ */
+class MissingBuhinError extends GlyphLoadError {
+    /**
+     * @param {string} glyphId - 参照元のグリフID
+     * @param {string} buhinId - 読み込めなかった部品のID
+     * @param {Error} cause - 部品の読み込みエラー
+     */
+    constructor(glyphId, buhinId, cause) {
+        super(`Missing buhin ${buhinId} referenced from ${glyphId}`, glyphId, cause);
+        /** @type {string} 読み込めなかった部品のID */
+        this.buhinId = buhinId;
+    }
+}
+
+/**
+ * 部品参照が循環している場合のエラー
+ */
+class GlyphCycleError extends GlyphLoadError {
+    /**
+     * @param {string[]} cyclePath - 循環の経路 (先頭と末尾が同じID)
+     */
+    constructor(cyclePath) {
+        super(`Buhin reference cycle: ${cyclePath.join(' -> ')}`, cyclePath[0]);
+        /** @type {string[]} 循環の経路 */
+        this.cyclePath = cyclePath;
+    }
+}
+
+/**
+ * 部品参照の入れ子が上限を超えた場合のエラー
+ */
+class GlyphDepthError extends GlyphLoadError {
+    /**
+     * @param {string[]} path - ルートから上限を超えた部品までの経路
+     * @param {number} maxDepth - 入れ子の上限
+     */
+    constructor(path, maxDepth) {
+        super(`Buhin nesting exceeds max depth ${maxDepth}: ${path.join(' -> ')}`, path[0]);
+        /** @type {string[]} ルートから上限を超えた部品までの経路 */
+        this.path = path;
+        /** @type {number} 入れ子の上限 */
+        this.maxDepth = maxDepth;
+    }
+}
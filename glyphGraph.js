@@ -0,0 +1,90 @@
+/**
+ * グリフ依存グラフ
+ * GlyphLoader.prefetch() が返す、グリフと部品参照 (99:...) の依存関係を表します。
+ */
+
+/**
+ * @typedef {Object} GlyphGraphNode
+ * @property {string} id - GlyphWiki ID
+ * @property {string[]} deps - このグリフが参照する部品のID
+ * @property {string[]} dependents - このグリフを参照しているグリフのID
+ * @property {'pending'|'loaded'|'failed'} status - 読み込み状態
+ * @property {GlyphLoadError} [error] - 失敗した場合のエラー
+ */
+
+class GlyphDependencyGraph {
+    constructor() {
+        /** @type {Object.<string, GlyphGraphNode>} IDごとのノード */
+        this.nodes = {};
+        /** @type {string[]} プリフェッチを要求されたグリフのID */
+        this.roots = [];
+    }
+
+    /**
+     * ノードを追加します。既に存在する場合は既存のノードを返します。
+     * @param {string} id
+     * @returns {GlyphGraphNode}
+     */
+    addNode(id) {
+        if (!this.nodes[id]) {
+            this.nodes[id] = { id, deps: [], dependents: [], status: 'pending' };
+        }
+        return this.nodes[id];
+    }
+
+    /**
+     * 参照関係を追加します。
+     * @param {string} from - 参照元のグリフID
+     * @param {string} to - 参照先の部品ID
+     */
+    addEdge(from, to) {
+        const src = this.addNode(from);
+        const dst = this.addNode(to);
+        if (!src.deps.includes(to)) src.deps.push(to);
+        if (!dst.dependents.includes(from)) dst.dependents.push(from);
+    }
+
+    /**
+     * 指定したグリフから到達できるすべてのID (自身を含む) を返します。
+     * @param {string} id
+     * @returns {string[]}
+     */
+    getClosure(id) {
+        const visited = new Set();
+        const stack = [id];
+        while (stack.length > 0) {
+            const current = stack.pop();
+            if (visited.has(current) || !this.nodes[current]) continue;
+            visited.add(current);
+            stack.push(...this.nodes[current].deps);
+        }
+        return [...visited];
+    }
+
+    /**
+     * 複数のルートから共有されている部品を返します。
+     * @returns {Object.<string, string[]>} 部品IDから、それを使用するルートIDの配列への対応表
+     */
+    getSharedBuhin() {
+        const usedBy = {};
+        for (const root of this.roots) {
+            for (const id of this.getClosure(root)) {
+                if (id === root) continue;
+                (usedBy[id] = usedBy[id] || []).push(root);
+            }
+        }
+        const shared = {};
+        for (const [id, roots] of Object.entries(usedBy)) {
+            if (roots.length > 1) shared[id] = roots;
+        }
+        return shared;
+    }
+
+    /**
+     * 読み込みに失敗したノードを返します。
+     * @returns {GlyphGraphNode[]}
+     */
+    getFailed() {
+        return Object.values(this.nodes).filter(node => node.status === 'failed');
+    }
+}
@@ -0,0 +1,243 @@
+/**
+ * グリフデータソース群
+ * GlyphLoaderがKAGEデータを取得する先を差し替えるためのクラスを提供します。
+ * いずれのソースも fetch(id) でグリフレコードを返し、見つからなければ null を返します。
+ */
+
+/**
+ * @typedef {Object} GlyphRecord
+ * @property {string} data - KAGEデータ文字列
+ * @property {number|null} version - GlyphWiki上の版番号 (不明な場合はnull)
+ */
+
+/**
+ * 版指定付きの名前 ("u6728-01@3") を名前と版番号に分解します。
+ * @param {string} name - グリフ名
+ * @returns {{name: string, version: number|null}}
+ */
+function parseVersionedName(name) {
+    const m = name.match(/^(.+)@(\d+)$/);
+    if (!m) return { name, version: null };
+    return { name: m[1], version: parseInt(m[2], 10) };
+}
+
+/**
+ * ファイルを文字列として読み込みます。
+ * Node環境ではfsモジュールを、ブラウザではfetchを使用します。
+ * @param {string} pathOrUrl - ファイルパスまたはURL
+ * @returns {Promise<string|null>} ファイル内容 (存在しない場合はnull)
+ * @private
+ */
+async function readTextResource(pathOrUrl) {
+    if (typeof window === 'undefined' && typeof require === 'function') {
+        const fs = require('fs');
+        try {
+            return await fs.promises.readFile(pathOrUrl, 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+    const res = await fetch(pathOrUrl);
+    if (res.status === 404) return null;
+    if (!res.ok) throw new Error(`HTTP ${res.status}: ${pathOrUrl}`);
+    return await res.text();
+}
+
+/**
+ * グリフソースの基底クラス
+ */
+class GlyphSource {
+    /**
+     * 指定IDのグリフを取得します。
+     * 通信に失敗した場合は GlyphNetworkError を投げます。
+     * @param {string} id - GlyphWiki ID。版指定付き (例: "u6728-01@3") も可
+     * @param {{signal: AbortSignal}} [options] - 中断用シグナル
+     * @returns {Promise<GlyphRecord|null>} グリフレコード (存在しない場合はnull)
+     */
+    async fetch(id, options) {
+        throw new Error('GlyphSource.fetch() is not implemented');
+    }
+}
+
+/**
+ * GlyphWiki APIから取得するソース
+ */
+class HttpGlyphSource extends GlyphSource {
+    /**
+     * @param {string} [baseUrl] - APIのURL (末尾にIDが連結されます)
+     */
+    constructor(baseUrl = 'https://glyphwiki.org/api/glyph?name=') {
+        super();
+        this.baseUrl = baseUrl;
+    }
+
+    async fetch(id, options = {}) {
+        let res;
+        try {
+            res = await fetch(`${this.baseUrl}${encodeURIComponent(id)}`, { signal: options.signal });
+        } catch (e) {
+            throw new GlyphNetworkError(id, e.message, e);
+        }
+        if (res.status === 404) return null;
+        if (!res.ok) throw new GlyphNetworkError(id, `HTTP ${res.status}`);
+
+        let json;
+        try {
+            json = await res.json();
+        } catch (e) {
+            throw new GlyphNetworkError(id, 'invalid JSON response', e);
+        }
+        if (!json.data) return null;
+        const version = typeof json.version === 'number' ? json.version : parseVersionedName(id).version;
+        return { data: json.data, version };
+    }
+}
+
+/**
+ * GlyphWikiのダンプファイルから取得するソース
+ * dump_newest_only.txt 形式 (" name | related | data") と、
+ * 1行に「名前 データ」を並べた簡易形式の両方を読み込めます。
+ * dump_all_versions.txt のように版指定付きの名前を含むダンプにも対応します。
+ */
+class DumpGlyphSource extends GlyphSource {
+    /**
+     * @param {string} pathOrUrl - ダンプファイルのパスまたはURL
+     */
+    constructor(pathOrUrl) {
+        super();
+        this.pathOrUrl = pathOrUrl;
+        /** @type {Object.<string, string>|null} 名前からデータへの対応表 */
+        this.table = null;
+        /** @type {Promise<void>|null} 読み込み中のPromise */
+        this._loading = null;
+    }
+
+    /**
+     * ダンプのテキストから直接ソースを生成します。
+     * @param {string} text - ダンプファイルの内容
+     * @returns {DumpGlyphSource}
+     */
+    static fromText(text) {
+        const source = new DumpGlyphSource(null);
+        source.table = DumpGlyphSource.parse(text);
+        return source;
+    }
+
+    /**
+     * ダンプのテキストを解析します。
+     * @param {string} text - ダンプファイルの内容
+     * @returns {Object.<string, string>} 名前からデータへの対応表
+     */
+    static parse(text) {
+        const table = {};
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            // 空行・罫線・フッター ("(12345 行)") は読み飛ばす
+            if (!line || /^[-+]+$/.test(line) || /^\(.*\)$/.test(line)) continue;
+
+            let name, data;
+            if (line.includes('|')) {
+                const cols = line.split('|').map(c => c.trim());
+                name = cols[0];
+                data = cols[cols.length - 1];
+            } else {
+                const m = line.match(/^(\S+)\s+(\S+)$/);
+                if (!m) continue;
+                name = m[1];
+                data = m[2];
+            }
+            if (name === 'name' || !name || !data) continue; // ヘッダー行
+            table[name] = data;
+        }
+        return table;
+    }
+
+    /**
+     * ダンプファイルを一度だけ読み込みます。
+     * 読み込みに失敗した場合は、次の呼び出しで読み込み直します。
+     * @returns {Promise<void>}
+     * @private
+     */
+    _ensureLoaded() {
+        if (this.table) return Promise.resolve();
+        if (!this._loading) {
+            this._loading = readTextResource(this.pathOrUrl).then(text => {
+                if (text === null) throw new Error(`Dump file not found: ${this.pathOrUrl}`);
+                this.table = DumpGlyphSource.parse(text);
+            }).catch(e => {
+                this._loading = null;
+                throw e;
+            });
+        }
+        return this._loading;
+    }
+
+    async fetch(id) {
+        await this._ensureLoaded();
+        const data = this.table[id];
+        return data ? { data, version: parseVersionedName(id).version } : null;
+    }
+}
+
+/**
+ * グリフごとのファイルを並べたディレクトリから取得するソース
+ * 例: glyphs/u6728.txt にKAGEデータ1行を格納
+ */
+class DirectoryGlyphSource extends GlyphSource {
+    /**
+     * @param {string} dir - ディレクトリのパスまたはURL
+     * @param {string} [extension] - ファイルの拡張子
+     */
+    constructor(dir, extension = '.txt') {
+        super();
+        this.dir = dir.replace(/\/+$/, '');
+        this.extension = extension;
+    }
+
+    async fetch(id) {
+        const text = await readTextResource(`${this.dir}/${id}${this.extension}`);
+        const data = text === null ? '' : text.trim();
+        return data ? { data, version: parseVersionedName(id).version } : null;
+    }
+}
+
+/**
+ * 複数のソースを順に問い合わせるソース
+ * 先頭のソースで見つからなかった場合のみ、次のソースを使用します。
+ */
+class ChainGlyphSource extends GlyphSource {
+    /**
+     * @param {GlyphSource[]} sources - 問い合わせ順のソース配列
+     */
+    constructor(sources) {
+        super();
+        this.sources = sources;
+    }
+
+    async fetch(id, options) {
+        for (const source of this.sources) {
+            const record = await source.fetch(id, options);
+            if (record) return record;
+        }
+        return null;
+    }
+}
+
+/**
+ * 設定からグリフソースを組み立てます。
+ * ローカルソースが指定された場合、HTTP APIは httpFallback が真のときのみ使用されます。
+ * @param {Object} [options]
+ * @param {string} [options.dump] - ダンプファイルのパスまたはURL
+ * @param {string} [options.dir] - グリフファイルのディレクトリ
+ * @param {boolean} [options.httpFallback=false] - ローカルに無い場合にGlyphWiki APIを使うか
+ * @returns {GlyphSource}
+ */
+function createGlyphSource(options = {}) {
+    const sources = [];
+    if (options.dump) sources.push(new DumpGlyphSource(options.dump));
+    if (options.dir) sources.push(new DirectoryGlyphSource(options.dir));
+    if (sources.length === 0) return new HttpGlyphSource();
+    if (options.httpFallback) sources.push(new HttpGlyphSource());
+    return sources.length === 1 ? sources[0] : new ChainGlyphSource(sources);
+}
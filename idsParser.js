@@ -0,0 +1,242 @@
+/**
+ * IDS (Ideographic Description Sequence) の読み込み・書き出し
+ * "⿰木⿱日口" のような文字列を解析し、KanjiComposer のレイアウトによる構成木に変換します。
+ * 逆に構成木からIDSを書き出すこともできます。
+ */
+
+/**
+ * @typedef {Object} IdsIssue
+ * @property {number} index - 問題のある位置 (コードポイント単位、0始まり)
+ * @property {string} message - 問題の内容
+ */
+
+/**
+ * IDSの構文木
+ * @typedef {Object} IdsNode
+ * @property {number} index - 先頭の位置 (コードポイント単位)
+ * @property {string} [op] - 記述文字 (IDC)。葉の場合はなし
+ * @property {IdsNode[]} [children] - 被演算子
+ * @property {string} [char] - 葉の文字
+ */
+
+/**
+ * IDSの解析・変換エラー
+ */
+class IdsError extends Error {
+    /**
+     * @param {IdsIssue[]} issues - 検出されたすべての問題
+     * @param {string} ids - 入力されたIDS
+     */
+    constructor(issues, ids) {
+        super(`Cannot compose IDS "${ids}":\n` + issues.map(i => `  position ${i.index}: ${i.message}`).join('\n'));
+        this.name = 'IdsError';
+        /** @type {IdsIssue[]} 検出されたすべての問題 */
+        this.issues = issues;
+        /** @type {string} 入力されたIDS */
+        this.ids = ids;
+    }
+}
+
+class IdsParser {
+    /**
+     * 記述文字 (IDC) の定義
+     * arity: 被演算子の数
+     * candidates: 対応するレイアウトの候補。base が既存部分、parts が追加パーツになる被演算子の番号です。
+     *   候補が空の記述文字は未対応です (解析はできますが、toTree() で未対応として報告します)。
+     *   IDCの範囲 (U+2FF0-U+2FFF と U+31EF) の記述文字はすべて含めます。
+     */
+    static get OPERATORS() {
+        return {
+            '⿰': { arity: 2, candidates: [{ layout: 'ADD_LEFT', base: 1, parts: [0] }, { layout: 'ADD_RIGHT', base: 0, parts: [1] }] },
+            '⿱': { arity: 2, candidates: [{ layout: 'ADD_TOP', base: 1, parts: [0] }, { layout: 'ADD_BOTTOM', base: 0, parts: [1] }] },
+            '⿲': { arity: 3, candidates: [{ layout: 'THREE_COLUMNS', base: 0, parts: [1, 2] }] },
+            '⿳': { arity: 3, candidates: [{ layout: 'THREE_ROWS', base: 0, parts: [1, 2] }] },
+            '⿴': { arity: 2, candidates: [{ layout: 'ENCLOSE', base: 1, parts: [0] }] },
+            '⿵': { arity: 2, candidates: [{ layout: 'ENCLOSE_GATE', base: 1, parts: [0] }, { layout: 'ENCLOSE_ABOVE', base: 1, parts: [0] }] },
+            '⿶': { arity: 2, candidates: [{ layout: 'ENCLOSE_BELOW', base: 1, parts: [0] }] },
+            '⿷': { arity: 2, candidates: [{ layout: 'ENCLOSE_LEFT', base: 1, parts: [0] }] },
+            '⿸': { arity: 2, candidates: [{ layout: 'ENCLOSE_UPPER_LEFT', base: 1, parts: [0] }] },
+            '⿹': { arity: 2, candidates: [{ layout: 'ENCLOSE_UPPER_RIGHT', base: 1, parts: [0] }] },
+            '⿺': { arity: 2, candidates: [{ layout: 'NYOU', base: 1, parts: [0] }] },
+            '⿻': { arity: 2, candidates: [{ layout: 'OVERLAY', base: 0, parts: [1] }] },
+            '⿼': { arity: 2, candidates: [] }, // 右からの囲み
+            '⿽': { arity: 2, candidates: [] }, // 右下からの囲み
+            '⿾': { arity: 1, candidates: [] }, // 左右反転
+            '⿿': { arity: 1, candidates: [] }, // 回転
+            '㇯': { arity: 2, candidates: [] } // 引き算
+        };
+    }
+
+    /**
+     * 繰り返し系レイアウトのIDSの形 (X が複製される被演算子)
+     */
+    static get REPEAT_FORMS() {
+        return {
+            REPEAT_2_H: '⿰XX',
+            REPEAT_2_V: '⿱XX',
+            TRIANGLE: '⿱X⿰XX',
+            REPEAT_3_H: '⿲XXX',
+            REPEAT_3_V: '⿳XXX',
+            REPEAT_4: '⿱⿰XX⿰XX'
+        };
+    }
+
+    /**
+     * IDS文字列を構文木に解析します。
+     * 未対応の記述文字や文字の検査は行いません (toTree() で行います)。
+     * @param {string} ids - IDS文字列
+     * @returns {IdsNode}
+     * @throws {IdsError} 被演算子の不足・余分な文字がある場合
+     */
+    static parse(ids) {
+        // 前後の空白は無視する (位置は元の文字列で数える)
+        const chars = Array.from(ids.trimEnd());
+        const operators = IdsParser.OPERATORS;
+        let pos = chars.length - Array.from(ids.trim()).length;
+
+        const parseNode = () => {
+            if (pos >= chars.length) return null;
+            const index = pos;
+            const c = chars[pos++];
+            if (!operators[c]) return { index, char: c };
+
+            const children = [];
+            for (let i = 0; i < operators[c].arity; i++) {
+                const child = parseNode();
+                if (!child) {
+                    throw new IdsError([{ index, message: `"${c}" needs ${operators[c].arity} operands but the IDS ended after ${i}` }], ids);
+                }
+                children.push(child);
+            }
+            return { index, op: c, children };
+        };
+
+        if (pos >= chars.length) throw new IdsError([{ index: 0, message: 'empty IDS' }], ids);
+        const root = parseNode();
+        if (pos < chars.length) {
+            throw new IdsError([{ index: pos, message: `unexpected "${chars.slice(pos).join('')}" after the end of the sequence` }], ids);
+        }
+        return root;
+    }
+
+    /**
+     * 構文木を構成木に変換します。
+     * 葉の文字はカタログ (GlyphConfig.CHARS) から探し、配置されるレイアウトのバリアントに解決します。
+     * @param {IdsNode} ast - parse() の結果
+     * @param {string} ids - エラーメッセージに含める元のIDS
+     * @param {Object} [options]
+     * @param {number} [options.areaFactor=1.0] - 各レイアウトの面積増加係数
+     * @param {boolean} [options.allowUnknown=false] - カタログに無い文字をグリフそのままで使うか
+     * @returns {CompositionNode}
+     * @throws {IdsError} 未対応の記述文字・文字がある場合 (すべての問題をまとめて報告します)
+     */
+    static toTree(ast, ids, options = {}) {
+        const areaFactor = options.areaFactor !== undefined ? options.areaFactor : 1.0;
+        const issues = [];
+
+        const findChar = (node) => GlyphConfig.CHARS.find(c => c.char === node.char);
+
+        // 追加パーツとしての適性: 3 = 専用バリアントあり, 2 = 許可, 1 = 合成済み・カタログ外, 0 = 不可
+        const score = (node, layout) => {
+            if (node.op) return 1;
+            const charConfig = findChar(node);
+            if (!charConfig) return 1;
+            if (!charConfig.layouts.includes(layout)) return 0;
+            return charConfig.variants && charConfig.variants[layout] ? 3 : 2;
+        };
+
+        const convert = (node, layout) => {
+            if (!node.op) {
+                const charConfig = findChar(node);
+                if (charConfig) return CompositionTree.leaf(charConfig, layout);
+                if (options.allowUnknown) return { type: 'glyph', id: node.char, char: node.char };
+                issues.push({ index: node.index, message: `"${node.char}" is not in the part catalog` });
+                return null;
+            }
+
+            const { candidates } = IdsParser.OPERATORS[node.op];
+            if (candidates.length === 0) {
+                issues.push({ index: node.index, message: `operator "${node.op}" is not supported` });
+                node.children.forEach(child => convert(child));
+                return null;
+            }
+
+            let best = null, bestScore = 0;
+            for (const candidate of candidates) {
+                const s = Math.min(...candidate.parts.map(i => score(node.children[i], candidate.layout)));
+                // 同点なら、パーツ単体は先の候補 (へん・かんむり側)、合成済みは後の候補 (つくり・あし側) を優先する
+                if (s > bestScore || (s === bestScore && s === 1)) {
+                    best = candidate;
+                    bestScore = s;
+                }
+            }
+            if (!best) {
+                const failing = candidates.flatMap(c => c.parts.map(i => node.children[i]).filter(p => score(p, c.layout) === 0));
+                const names = [...new Set(failing.map(p => `"${p.char}"`))].join(' / ');
+                const layouts = candidates.map(c => c.layout).join(' / ');
+                issues.push({ index: node.index, message: `${names} cannot be placed by "${node.op}" (needs layout ${layouts} in the catalog)` });
+                node.children.forEach(child => convert(child));
+                return null;
+            }
+
+            const base = convert(node.children[best.base]);
+            const parts = best.parts.map(i => convert(node.children[i], best.layout));
+            return base && parts.every(Boolean) ? CompositionTree.node(best.layout, [base, ...parts], areaFactor) : null;
+        };
+
+        const tree = convert(ast);
+        if (issues.length > 0) {
+            issues.sort((a, b) => a.index - b.index);
+            throw new IdsError(issues, ids);
+        }
+        return tree;
+    }
+
+    /**
+     * 構成木を正規化したIDS文字列に変換します。
+     * 被演算子は配置の順 (左→右、上→下、外→内) に並べるため、ADD_LEFT と ADD_RIGHT のように
+     * 合成の順序が違うだけの木は同じIDSになります。
+     * @param {CompositionNode} tree
+     * @returns {string} 構成不明の部分は "？" になります
+     */
+    static stringify(tree) {
+        if (tree.type === 'data') return '？';
+        if (tree.type === 'glyph') {
+            if (tree.char) return tree.char;
+            const m = /^u([0-9a-f]{4,6})$/.exec(tree.id);
+            return m ? String.fromCodePoint(parseInt(m[1], 16)) : '？';
+        }
+
+        const [base, ...parts] = tree.children.map(child => IdsParser.stringify(child));
+        // 繰り返しは複製する側 (パーツまたは既存部分) だけを書き出す
+        const repeat = IdsParser.REPEAT_FORMS[tree.layout];
+        if (repeat) {
+            const unit = KanjiComposer.repeatsCurrent(tree.layout, tree.params) ? base : parts[0];
+            return repeat.split('X').join(unit);
+        }
+
+        for (const [op, { candidates }] of Object.entries(IdsParser.OPERATORS)) {
+            const candidate = candidates.find(c => c.layout === tree.layout && c.parts.length === parts.length);
+            if (!candidate) continue;
+            const operands = [];
+            operands[candidate.base] = base;
+            candidate.parts.forEach((index, i) => { operands[index] = parts[i]; });
+            return op + operands.join('');
+        }
+        // パーツを削除して2つになった三列・三段は二分割として書き出す
+        if (parts.length === 1 && tree.layout === 'THREE_COLUMNS') return `⿰${base}${parts[0]}`;
+        if (parts.length === 1 && tree.layout === 'THREE_ROWS') return `⿱${base}${parts[0]}`;
+        return '？';
+    }
+
+    /**
+     * IDS文字列を構成木に変換します。
+     * @param {string} ids - IDS文字列 (例: "⿰木⿱日口")
+     * @param {Object} [options] - toTree() と同じオプション
+     * @returns {CompositionNode}
+     * @throws {IdsError}
+     */
+    static toCompositionTree(ids, options = {}) {
+        return IdsParser.toTree(IdsParser.parse(ids), ids, options);
+    }
+}
@@ -6,10 +6,19 @@
  * @property {number} h - 高さ (0.0 - 1.0)
  */
 
+/**
+ * 論理サイズ (横長・縦長の合成結果では幅と高さが異なります)
+ * @typedef {Object} LogicalBox
+ * @property {number} width - 論理的な幅
+ * @property {number} height - 論理的な高さ
+ */
+
 /**
  * @typedef {Object} Variant
  * @property {string} id - GlyphWikiのID (例: "u6728-01")
  * @property {number[]} rect - グリフの有効領域 [x, y, w, h] (例: [0, 0, 0.5, 1])
+ * @property {number} [strokes] - バリアントの画数 (省略時はKAGEデータから数える)
+ * @property {number[]} [inner] - 囲みパーツの内側の開いた領域 [x, y, w, h] (囲み系レイアウトで中身を置く位置。省略時はレイアウト定義の params.inner)
  */
 
 /**
@@ -17,6 +26,9 @@
  * @property {string} char - 表示文字
  * @property {string[]} layouts - 許可されるレイアウトIDの配列
  * @property {Object.<string, Variant|string>} [variants] - レイアウトごとの代替グリフ定義
+ * @property {number} [weight] - ランダム選択時の重み
+ * @property {Object.<string, number>} [layoutWeights] - ランダム選択時のレイアウトごとの重み (省略したレイアウトは1)
+ * @property {number} [strokes] - 画数 (省略時はKAGEデータから数える)
  */
 
 /**
@@ -25,27 +37,44 @@
  */
 class GlyphConfig {
     /**
-     * 各漢字の設定定義を取得します。
+     * 現在有効なパーツカタログを取得します。
+     * 外部カタログが設定されていればそれを、なければ組み込みの定義を返します。
      * @returns {CharConfig[]}
      */
     static get CHARS() {
+        return this._catalog || this.DEFAULT_CHARS;
+    }
+
+    /**
+     * パーツカタログを差し替えます。
+     * @param {CharConfig[]|null} chars - 新しいカタログ (nullで組み込みの定義に戻す)
+     */
+    static setCatalog(chars) {
+        this._catalog = chars;
+    }
+
+    /**
+     * 組み込みの各漢字の設定定義を取得します。
+     * @returns {CharConfig[]}
+     */
+    static get DEFAULT_CHARS() {
         return [
             { 
                 char: "木", 
-                layouts: ["ADD_RIGHT", "ADD_LEFT", "ADD_TOP", "ADD_BOTTOM"],
+                layouts: ["ADD_RIGHT", "ADD_LEFT", "ADD_TOP", "ADD_BOTTOM", "THREE_COLUMNS", "REPEAT_2_H", "REPEAT_3_H", "TRIANGLE"],
                 variants: { "ADD_LEFT": { id: "u6728-01", rect: [0, 0, 0.45, 1], strokes: 3 } }, // きへん
                 weight: 1,
                 strokes: 4
             },
             { 
                 char: "日", 
-                layouts: ["ADD_RIGHT", "ADD_TOP", "ADD_BOTTOM"],
+                layouts: ["ADD_RIGHT", "ADD_TOP", "ADD_BOTTOM", "THREE_ROWS", "REPEAT_2_V", "REPEAT_3_V"],
                 weight: 1,
                 strokes: 4
             },
             { 
                 char: "口", 
-                layouts: ["ADD_RIGHT", "ADD_LEFT", "ADD_TOP", "ADD_BOTTOM"],
+                layouts: ["ADD_RIGHT", "ADD_LEFT", "ADD_TOP", "ADD_BOTTOM", "THREE_COLUMNS", "THREE_ROWS", "TRIANGLE", "REPEAT_4"],
                 weight: 1,
                 strokes: 3
             },
@@ -59,11 +88,12 @@ class GlyphConfig {
                 char: "門", 
                 layouts: ["ADD_RIGHT", "ADD_LEFT", "ENCLOSE_GATE"],
                 weight: 0.3,
+                layoutWeights: { "ENCLOSE_GATE": 4 }, // 門構えとして使われることが多い
                 strokes: 8
             },
             { 
                 char: "人", 
-                layouts: ["ADD_RIGHT", "ADD_TOP", "ADD_LEFT"],
+                layouts: ["ADD_RIGHT", "ADD_TOP", "ADD_LEFT", "OVERLAY"],
                 variants: { "ADD_LEFT": { id: "u4ebb-01", rect: [0, 0, 0.5, 1], strokes: 2 } }, // にんべん
                 weight: 1,
                 strokes: 2
@@ -148,57 +178,128 @@ class GlyphConfig {
                 layouts: ["ENCLOSE"],
                 weight: 1,
                 strokes: 3
+            },
+            {
+                char: "广",
+                layouts: ["ENCLOSE_UPPER_LEFT"], // まだれ
+                weight: 0.3,
+                strokes: 3
+            },
+            {
+                char: "疒",
+                layouts: ["ENCLOSE_UPPER_LEFT"],
+                variants: { "ENCLOSE_UPPER_LEFT": { id: "u7592", inner: [0.35, 0.3, 0.6, 0.65] } }, // やまいだれ
+                weight: 0.3,
+                strokes: 5
+            },
+            {
+                char: "尸",
+                layouts: ["ENCLOSE_UPPER_LEFT"],
+                variants: { "ENCLOSE_UPPER_LEFT": { id: "u5c38", inner: [0.3, 0.35, 0.65, 0.6] } }, // しかばね
+                weight: 0.3,
+                strokes: 3
+            },
+            {
+                char: "勹",
+                layouts: ["ENCLOSE_UPPER_RIGHT"], // つつみがまえ
+                weight: 0.3,
+                strokes: 2
+            },
+            {
+                char: "凵",
+                layouts: ["ENCLOSE_BELOW"], // うけばこ
+                weight: 0.3,
+                strokes: 2
+            },
+            {
+                char: "冂",
+                layouts: ["ENCLOSE_ABOVE"], // まきがまえ
+                weight: 0.3,
+                strokes: 2
+            },
+            {
+                char: "匚",
+                layouts: ["ENCLOSE_LEFT"], // はこがまえ
+                weight: 0.3,
+                strokes: 2
             }
         ];
     }
 
     /**
      * 重み付きでランダムな文字設定を返します。
-     * @returns {CharConfig}
+     * @param {function(CharConfig): boolean} [filter] - 候補を絞り込む条件
+     * @param {function(): number} [random=Math.random] - 0以上1未満の乱数を返す関数 (SeededRandom 等)
+     * @param {function(CharConfig): number} [weightOf] - 重み (省略時は weight。RandomWeights で状態に応じた重みを渡せます)
+     * @returns {CharConfig|undefined} 候補がなければ (重みがすべて0の場合も) undefined
      */
-    static getRandomChar() {
-        const chars = this.CHARS;
-        const totalWeight = chars.reduce((sum, char) => sum + (char.weight !== undefined ? char.weight : 1), 0);
-        let random = Math.random() * totalWeight;
+    static getRandomChar(filter, random = Math.random, weightOf = char => (char.weight !== undefined ? char.weight : 1)) {
+        const chars = filter ? this.CHARS.filter(filter) : this.CHARS;
+        const weights = chars.map(weightOf);
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+        if (totalWeight === 0) return undefined;
+        let value = random() * totalWeight;
 
-        for (const char of chars) {
-            const weight = (char.weight !== undefined ? char.weight : 1);
-            if (random < weight) {
-                return char;
+        for (let i = 0; i < chars.length; i++) {
+            if (value < weights[i]) {
+                return chars[i];
             }
-            random -= weight;
+            value -= weights[i];
         }
-        return chars[chars.length - 1]; // フォールバック
+        // 丸め誤差で選べなかった場合のフォールバック (重みが0の文字は選ばない)
+        return chars[weights.map(weight => weight > 0).lastIndexOf(true)];
     }
 
 
+    /**
+     * パレットのすべての文字とバリアントのグリフIDを列挙します。
+     * GlyphLoader.prefetch() に渡してパレット全体を事前に読み込むために使用します。
+     * @returns {string[]} 重複を除いたグリフIDまたは文字の配列
+     */
+    static getAllGlyphIds() {
+        const ids = [];
+        for (const charConfig of this.CHARS) {
+            ids.push(charConfig.char);
+            for (const layoutMode of Object.keys(charConfig.variants || {})) {
+                ids.push(this.getVariantInfo(charConfig, layoutMode).id);
+            }
+        }
+        return [...new Set(ids)];
+    }
+
     /**
      * レイアウトIDと表示ラベルの対応マップを取得します。
+     * レイアウトは LayoutRegistry に登録されたものです (設定ファイルで追加したものを含みます)。
      * @returns {Object.<string, string>}
      */
     static get LAYOUT_LABELS() {
-        return {
-            ADD_RIGHT: "右に追加 (つくり)",
-            ADD_LEFT:  "左に追加 (へん)",
-            ADD_TOP:   "上に載せる (かんむり)",
-            ADD_BOTTOM: "下に追加 (あし)",
-            NYOU:      "しんにょう (左下囲み)",
-            ENCLOSE:   "囲む (くにがまえ)",
-            ENCLOSE_GATE: "門構え (内側下配置)",
-            TRIANGLE:  "品字型 (3つ複製)"
-        };
+        return LayoutRegistry.getLabels();
+    }
+
+    /**
+     * レイアウト1回で追加するパーツの数を返します。
+     * THREE_COLUMNS / THREE_ROWS は既存部分の後ろに2つのパーツを並べます。
+     * @param {string} layoutMode - レイアウトID
+     * @returns {number}
+     */
+    static getPartCount(layoutMode) {
+        const layout = LayoutRegistry.get(layoutMode);
+        return layout && layout.parts ? layout.parts : 1;
     }
 
     /**
      * 指定された文字設定とレイアウトモードに対するバリアント情報（グリフID、有効領域、画数）を解決します。
      * @param {CharConfig} charConfig - 対象の文字設定オブジェクト
      * @param {string} layoutMode - 適用するレイアウトモード
-     * @returns {{id: string, rect: Rect|null, strokes: number}} グリフID、有効領域(Rect)、画数のオブジェクト
+     * 画数はカタログに手入力された値 (上書き) がある場合のみ返します。
+     * バリアントを使う場合、文字全体の画数 (CharConfig.strokes) は引き継ぎません。
+     * @returns {{id: string, rect: Rect|null, strokes: number|undefined, inner: Rect|null}} グリフID、有効領域(Rect)、画数、囲みの内側の領域のオブジェクト
      */
     static getVariantInfo(charConfig, layoutMode) {
         let id;
         let rect = null;
-        let strokes = charConfig.strokes || 1;
+        let strokes;
+        let inner = null;
 
         const variant = charConfig.variants ? charConfig.variants[layoutMode] : undefined;
 
@@ -216,6 +317,14 @@ class GlyphConfig {
                 if (typeof variant.strokes === 'number') {
                     strokes = variant.strokes;
                 }
+                if (variant.inner) {
+                    inner = {
+                        x: variant.inner[0],
+                        y: variant.inner[1],
+                        w: variant.inner[2],
+                        h: variant.inner[3]
+                    };
+                }
             } else if (typeof variant === 'string') {
                 id = variant;
             }
@@ -223,20 +332,51 @@ class GlyphConfig {
 
         if (!id) {
             id = charConfig.char;
+            strokes = charConfig.strokes;
         }
 
-        return { id, rect, strokes };
+        return { id, rect, strokes, inner };
     }
 }
 
 /**
  * データローダークラス
- * GlyphWiki APIを通じてKAGEデータを取得し、キャッシュ管理を行います。
+ * グリフソース (GlyphWiki API、ダンプファイル等) からKAGEデータを取得し、キャッシュ管理を行います。
  */
 class GlyphLoader {
-    constructor() {
-        /** @type {Object.<string, string>} グリフデータのキャッシュ */
+    /**
+     * @param {Object} [options]
+     * @param {GlyphSource} [options.source] - データ取得元 (省略時はGlyphWiki API)
+     * @param {PersistentGlyphCache} [options.persistentCache] - 永続キャッシュ (省略時はメモリのみ)
+     * @param {{retries: number, delay: number, factor: number}} [options.retry] - 通信エラー時の再試行回数と待機時間 (ミリ秒)、バックオフ倍率
+     * @param {number} [options.timeout=10000] - 1回の取得のタイムアウト (ミリ秒)
+     * @param {number} [options.maxDepth=10] - 部品参照の入れ子の上限
+     */
+    constructor(options = {}) {
+        /** @type {GlyphSource} データ取得元 */
+        this.source = options.source || new HttpGlyphSource();
+        /** @type {PersistentGlyphCache|null} 永続キャッシュ */
+        this.persistentCache = options.persistentCache || null;
+        /** @type {{retries: number, delay: number, factor: number}} 再試行ポリシー */
+        this.retry = { retries: 2, delay: 300, factor: 2, ...options.retry };
+        /** @type {number} 1回の取得のタイムアウト (ミリ秒) */
+        this.timeout = options.timeout !== undefined ? options.timeout : 10000;
+        /** @type {number} 部品参照の入れ子の上限 */
+        this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : 10;
+        /** @type {Object.<string, string>} グリフデータのキャッシュ (部品まで読み込み済みのグリフのみ) */
         this.cache = {};
+        /** @type {Object.<string, string>} 取得済みで、部品の読み込みが済んでいないものを含むグリフデータ */
+        this._fetched = {};
+        /** @type {Object.<string, number|null>} 読み込んだグリフの版番号 */
+        this.revisions = {};
+        /** @type {Object.<string, string>} 別名グリフから参照先IDへの対応表 */
+        this.aliases = {};
+        /** @type {Object.<string, number>} 読み込み時に固定する版番号 (版指定なしのIDに適用) */
+        this.pins = {};
+        /** @type {Object.<string, Promise<string>>} 読み込み中のPromise (部品を含む) */
+        this._inflight = {};
+        /** @type {Object.<string, Promise<string>>} 取得中のPromise (グリフ単体) */
+        this._fetching = {};
     }
 
     /**
@@ -250,48 +390,423 @@ class GlyphLoader {
     }
 
     /**
-     * GlyphWikiからデータを非同期で取得します。
+     * グリフソースからデータを非同期で取得します。
      * 再帰的な部品参照 (99:...) も自動的に解決します。
-     * @param {string} nameOrId - 文字またはID ("木" or "u6728")
-     * @returns {Promise<string|null>} KAGEフォーマットのデータ文字列
+     * 同じIDの読み込みが進行中の場合は、そのPromiseを共有します。
+     * 別名グリフの場合は参照先のデータを返します (実体は参照先のIDで一度だけキャッシュされます)。
+     * @param {string} nameOrId - 文字またはID ("木", "u6728", 版指定付きの "u6728@3")
+     * @returns {Promise<string|null>} KAGEフォーマットのデータ文字列 (空の入力の場合はnull)
+     * @throws {GlyphLoadError} 読み込みに失敗した場合 (GlyphNotFoundError, GlyphNetworkError, MalformedGlyphError, MissingBuhinError, GlyphCycleError, GlyphDepthError)
      */
     async load(nameOrId) {
-        const id = nameOrId.startsWith('u') ? nameOrId : this.charToId(nameOrId);
+        const id = this._resolveId(nameOrId);
         if (!id) return null;
-        if (this.cache[id]) return this.cache[id];
-
+        let data;
         try {
-            const url = `https://glyphwiki.org/api/glyph?name=${id}`;
-            const res = await fetch(url);
-            const json = await res.json();
-            const data = json.data;
-            this.cache[id] = data;
-
-            // 依存データ（部品）の再帰読み込み
-            const lines = data.split('$');
-            const promises = [];
-            for (const line of lines) {
-                const cols = line.split(':');
-                if (cols[0] === '99') { // 部品参照
-                    const refId = cols[7];
-                    if (refId && !this.cache[refId]) {
-                        promises.push(this.load(refId));
-                    }
-                }
+            data = await this._load(id, []);
+            // キャッシュ済みの部品を経由した循環・深すぎる入れ子も検出する
+            GlyphLoader.checkBuhinStructure(id, data, refId => this.cache[refId], this.maxDepth);
+        } catch (e) {
+            if (e instanceof GlyphCycleError || e instanceof GlyphDepthError) this._forget([id]);
+            if (e instanceof GlyphCycleError) this._forget(e.cyclePath);
+            throw e;
+        }
+        const targetId = this.resolveAlias(id);
+        return targetId !== id && this.cache[targetId] ? this.cache[targetId] : data;
+    }
+
+    /**
+     * 参照経路を辿りながらグリフを読み込みます。
+     * 同じIDの読み込みが進行中の場合は、そのPromiseを共有します。
+     * @param {string} id - GlyphWiki ID
+     * @param {string[]} path - ルートからこのグリフの参照元までの経路
+     * @returns {Promise<string>}
+     * @private
+     */
+    _load(id, path) {
+        const cycleStart = path.indexOf(id);
+        if (cycleStart >= 0) return Promise.reject(new GlyphCycleError([...path.slice(cycleStart), id]));
+        if (path.length > this.maxDepth) return Promise.reject(new GlyphDepthError([...path, id], this.maxDepth));
+        if (this.cache[id]) return Promise.resolve(this.cache[id]);
+        if (this._inflight[id]) return this._inflight[id];
+
+        const promise = this._loadWithBuhin(id, [...path, id])
+            .finally(() => { delete this._inflight[id]; });
+        this._inflight[id] = promise;
+        return promise;
+    }
+
+    /**
+     * グリフ本体を取得し、参照している部品を再帰的に読み込みます。
+     * 部品がすべて読み込めた時点で、本体をキャッシュに格納します。
+     * @param {string} id - GlyphWiki ID
+     * @param {string[]} path - ルートからこのグリフまでの経路
+     * @returns {Promise<string>}
+     * @private
+     */
+    async _loadWithBuhin(id, path) {
+        const data = await this._fetchOnce(id);
+
+        // 依存データ（部品）の再帰読み込み
+        const promises = GlyphLoader.getBuhinRefs(data)
+            .map(refId => this._load(refId, path).catch(e => {
+                // 循環・入れ子の上限は経路ごと報告する
+                if (e instanceof GlyphCycleError || e instanceof GlyphDepthError) throw e;
+                throw new MissingBuhinError(id, refId, e);
+            }));
+        await Promise.all(promises);
+        this.cache[id] = data;
+        return data;
+    }
+
+    /**
+     * 複数のグリフとその部品をまとめて読み込み、依存グラフを返します。
+     * 個々の読み込み失敗で中断せず、失敗はグラフのノードに記録されます。
+     * 部品まですべて読み込めたグリフだけが、load() と同様にメモリキャッシュに格納されます。
+     * @param {string[]} namesOrIds - 文字またはIDの配列
+     * @param {Object} [options]
+     * @param {function({id: string, loaded: number, total: number, error: (GlyphLoadError|undefined)}): void} [options.onProgress] - 1グリフ処理するごとに呼ばれるコールバック
+     * @returns {Promise<GlyphDependencyGraph>} 依存グラフ
+     */
+    async prefetch(namesOrIds, options = {}) {
+        const graph = new GlyphDependencyGraph();
+        const onProgress = options.onProgress || (() => {});
+        let loaded = 0;
+
+        const visit = async (id) => {
+            const node = graph.nodes[id];
+            let error;
+            let fresh = [];
+            try {
+                const data = await this._fetchOnce(id);
+                node.status = 'loaded';
+                const refs = GlyphLoader.getBuhinRefs(data);
+                fresh = refs.filter(refId => !graph.nodes[refId]);
+                refs.forEach(refId => graph.addEdge(id, refId));
+            } catch (e) {
+                node.status = 'failed';
+                node.error = error = e;
             }
-            await Promise.all(promises);
-            return data;
+            loaded++;
+            onProgress({ id, loaded, total: Object.keys(graph.nodes).length, error });
+            await Promise.all(fresh.map(visit));
+        };
+
+        const ids = [...new Set(namesOrIds.map(n => this._resolveId(n)).filter(Boolean))];
+        graph.roots = ids;
+        ids.forEach(id => graph.addNode(id));
+        await Promise.all(ids.map(visit));
+
+        // 循環・深すぎる入れ子はルートの失敗として記録する
+        for (const id of ids) {
+            const node = graph.nodes[id];
+            if (node.status !== 'loaded') continue;
+            try {
+                GlyphLoader.checkBuhinStructure(id, this._fetched[id], refId => this._fetched[refId], this.maxDepth);
+            } catch (e) {
+                node.status = 'failed';
+                node.error = e;
+                if (e instanceof GlyphCycleError) this._forget(e.cyclePath);
+            }
+        }
+
+        // 部品が欠けたグリフを除き、キャッシュに格納する
+        const incomplete = new Set();
+        const stack = graph.getFailed().map(node => node.id);
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (incomplete.has(id)) continue;
+            incomplete.add(id);
+            stack.push(...graph.nodes[id].dependents);
+        }
+        for (const id of Object.keys(graph.nodes)) {
+            if (!incomplete.has(id) && this._fetched[id]) this.cache[id] = this._fetched[id];
+        }
+        return graph;
+    }
+
+    /**
+     * グリフをメモリキャッシュと取得済みのデータから取り除きます。
+     * 循環などで使えなかったデータを残さず、ソースや版の指定を直した後に取得し直せるようにします。
+     * @param {string[]} ids - GlyphWiki ID
+     * @private
+     */
+    _forget(ids) {
+        for (const id of ids) {
+            delete this.cache[id];
+            delete this._fetched[id];
+        }
+    }
+
+    /**
+     * 文字またはIDをGlyphWiki IDに変換します。
+     * @param {string} nameOrId - 文字またはID
+     * @returns {string|null}
+     * @private
+     */
+    _resolveId(nameOrId) {
+        return nameOrId.startsWith('u') ? nameOrId : this.charToId(nameOrId);
+    }
+
+    /**
+     * 部品を辿らずにグリフ単体を取得します。
+     * 部品の読み込みが済むまではメモリキャッシュに入れず、取得済みのデータとして保持します。
+     * 同じIDの取得が進行中の場合は、そのPromiseを共有します。
+     * @param {string} id - GlyphWiki ID
+     * @returns {Promise<string>}
+     * @private
+     */
+    _fetchOnce(id) {
+        if (this.cache[id]) return Promise.resolve(this.cache[id]);
+        if (this._fetched[id]) return Promise.resolve(this._fetched[id]);
+        if (!this._fetching[id]) {
+            this._fetching[id] = this._fetchData(id)
+                .then(data => {
+                    this._fetched[id] = data;
+                    return data;
+                })
+                .finally(() => { delete this._fetching[id]; });
+        }
+        return this._fetching[id];
+    }
+
+    /**
+     * 部品参照を辿り、循環と入れ子の深さを検査します。
+     * 参照先のデータが見つからない部品は検査の対象外です (KAGEエンジンと同様に無視されます)。
+     * @param {string} id - 検査するグリフのID
+     * @param {string} data - 検査するグリフのKAGEデータ
+     * @param {function(string): string} lookup - 部品IDからKAGEデータを返す関数
+     * @param {number} maxDepth - 入れ子の上限
+     * @throws {GlyphCycleError} 参照が循環している場合
+     * @throws {GlyphDepthError} 入れ子が上限を超えた場合
+     */
+    static checkBuhinStructure(id, data, lookup, maxDepth) {
+        const verifiedDepth = {}; // 検査済みのIDと、そのときの深さ
+        const path = [];
+        const visit = (nodeId, nodeData) => {
+            const cycleStart = path.indexOf(nodeId);
+            if (cycleStart >= 0) throw new GlyphCycleError([...path.slice(cycleStart), nodeId]);
+            if (path.length > maxDepth) throw new GlyphDepthError([...path, nodeId], maxDepth);
+            // より浅い位置で検査済みなら、配下も上限内に収まっている
+            if (verifiedDepth[nodeId] !== undefined && verifiedDepth[nodeId] <= path.length) return;
+
+            path.push(nodeId);
+            for (const refId of GlyphLoader.getBuhinRefs(nodeData)) {
+                const refData = lookup(refId);
+                if (refData) visit(refId, refData);
+            }
+            path.pop();
+            verifiedDepth[nodeId] = path.length;
+        };
+        visit(id, data);
+    }
+
+    /**
+     * KAGEデータが参照している部品IDを列挙します。
+     * @param {string} data - KAGEデータ文字列
+     * @returns {string[]} 重複を除いた部品IDの配列
+     */
+    static getBuhinRefs(data) {
+        const refs = [];
+        for (const line of data.split('$')) {
+            const cols = line.split(':');
+            if (cols[0] === '99' && cols[7] && !refs.includes(cols[7])) { // 部品参照
+                refs.push(cols[7]);
+            }
+        }
+        return refs;
+    }
+
+    /**
+     * 永続キャッシュ、なければグリフソースからデータを取得します。
+     * ソースから取得したデータは検証後、永続キャッシュにも保存されます。
+     * 永続キャッシュの読み書きの失敗は PersistentGlyphCache がキャッシュミスとして扱うため、取得は続行されます。
+     * 版が固定されているIDは版指定付きの名前で取得し、取得した版番号と別名の参照先を記録します。
+     * @param {string} id - GlyphWiki ID
+     * @returns {Promise<string>}
+     * @private
+     */
+    async _fetchData(id) {
+        const name = this.pins[id] !== undefined && !id.includes('@') ? `${id}@${this.pins[id]}` : id;
+        let record = this.persistentCache ? await this.persistentCache.get(name) : null;
+        if (!record) {
+            record = await this._fetchWithRetry(name);
+            GlyphLoader.validateKageData(id, record.data);
+            if (this.persistentCache) {
+                await this.persistentCache.set(name, record);
+            }
+        }
+
+        this.revisions[id] = record.version;
+        const target = GlyphLoader.getAliasTarget(record.data);
+        if (target) this.aliases[id] = target;
+        return record.data;
+    }
+
+    /**
+     * 別名グリフ (部品参照1つを全面に配置しただけのグリフ) の参照先を返します。
+     * 別名グリフのデータは参照1行だけなので、実体は参照先のIDで一度だけキャッシュされます。
+     * @param {string} data - KAGEデータ文字列
+     * @returns {string|null} 参照先のID (別名グリフでない場合はnull)
+     */
+    static getAliasTarget(data) {
+        const lines = data.split('$');
+        if (lines.length !== 1) return null;
+        const cols = lines[0].split(':');
+        if (cols[0] !== '99' || !cols[7]) return null;
+        const placement = cols.slice(1, 7).map(Number);
+        const stretch = cols.slice(8).map(Number);
+        const isFull = placement.join(':') === '0:0:0:0:200:200';
+        return isFull && stretch.every(v => v === 0) ? cols[7] : null;
+    }
+
+    /**
+     * 別名を辿って実体のグリフIDを返します。
+     * @param {string} nameOrId - 文字またはID
+     * @returns {string|null}
+     */
+    resolveAlias(nameOrId) {
+        let id = this._resolveId(nameOrId);
+        const visited = new Set();
+        while (id && this.aliases[id] && !visited.has(id)) {
+            visited.add(id);
+            id = this.aliases[id];
+        }
+        return id;
+    }
+
+    /**
+     * 読み込み済みのグリフとその部品すべての版番号を返します。
+     * 版指定付きのIDは名前自体が版を表すため含まれません。
+     * @param {string} nameOrId - 文字またはID
+     * @returns {Object.<string, number>} IDから版番号への対応表
+     */
+    getPins(nameOrId) {
+        const pins = {};
+        const stack = [this._resolveId(nameOrId)];
+        const visited = new Set();
+        while (stack.length > 0) {
+            const id = stack.pop();
+            if (!id || visited.has(id) || !this.cache[id]) continue;
+            visited.add(id);
+            if (!id.includes('@') && typeof this.revisions[id] === 'number') {
+                pins[id] = this.revisions[id];
+            }
+            stack.push(...GlyphLoader.getBuhinRefs(this.cache[id]));
+        }
+        return pins;
+    }
+
+    /**
+     * 以降の読み込みで使用する版番号を固定します。
+     * 既に別の版を読み込んでいるグリフはメモリキャッシュから外され、次回の load() で再取得されます。
+     * @param {Object.<string, number>} pins - IDから版番号への対応表
+     */
+    setPins(pins) {
+        for (const [id, version] of Object.entries(pins || {})) {
+            if (this._fetched[id] && this.revisions[id] !== version) this._forget([id]);
+            this.pins[id] = version;
+        }
+    }
+
+    /**
+     * 通信エラー時にバックオフしながら再試行します。
+     * @param {string} id - GlyphWiki ID
+     * @returns {Promise<GlyphRecord>}
+     * @private
+     */
+    async _fetchWithRetry(id) {
+        const { retries, delay, factor } = this.retry;
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this._fetchWithTimeout(id);
+            } catch (e) {
+                if (!(e instanceof GlyphNetworkError) || attempt >= retries) throw e;
+                await new Promise(resolve => setTimeout(resolve, delay * Math.pow(factor, attempt)));
+            }
+        }
+    }
+
+    /**
+     * タイムアウト付きでグリフソースに問い合わせます。
+     * @param {string} id - GlyphWiki ID
+     * @returns {Promise<GlyphRecord>}
+     * @private
+     */
+    async _fetchWithTimeout(id) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        let timer = null;
+        const timeout = new Promise((_, reject) => {
+            timer = setTimeout(() => {
+                if (controller) controller.abort();
+                reject(new GlyphNetworkError(id, `timeout after ${this.timeout}ms`));
+            }, this.timeout);
+        });
+
+        try {
+            const record = await Promise.race([
+                this.source.fetch(id, { signal: controller ? controller.signal : undefined }),
+                timeout
+            ]);
+            if (!record) throw new GlyphNotFoundError(id);
+            return record;
         } catch (e) {
-            console.error(`Failed to load ${id}`, e);
-            return null;
+            if (e instanceof GlyphLoadError) throw e;
+            throw new GlyphLoadError(`Failed to load ${id}: ${e.message}`, id, e);
+        } finally {
+            clearTimeout(timer);
         }
     }
 
+    /**
+     * KAGEデータの形式を検証します。
+     * 各ストロークは数値の列で、部品参照 (99) の8列目のみ部品IDを許容します。
+     * @param {string} id - GlyphWiki ID
+     * @param {string} data - KAGEデータ文字列
+     * @throws {MalformedGlyphError} 形式が不正な場合
+     */
+    static validateKageData(id, data) {
+        if (typeof data !== 'string') throw new MalformedGlyphError(id, 0, String(data));
+        const lines = data.split('$');
+        lines.forEach((line, i) => {
+            const cols = line.split(':');
+            const isBuhin = cols[0] === '99';
+            const ok = cols.length >= 2 && cols.every((col, j) => {
+                if (isBuhin && j === 7) return col.length > 0;
+                return /^-?\d+(\.\d+)?$/.test(col);
+            });
+            if (!ok) throw new MalformedGlyphError(id, i, line);
+        });
+    }
+
     /**
      * 現在のキャッシュオブジェクトを返します。
      * @returns {Object.<string, string>}
      */
     getCache() { return this.cache; }
+
+    /**
+     * メモリキャッシュと永続キャッシュをすべて削除します。
+     * @returns {Promise<void>}
+     */
+    async clearCache() {
+        this.cache = {};
+        this._fetched = {};
+        this.revisions = {};
+        this.aliases = {};
+        if (this.persistentCache) await this.persistentCache.clear();
+    }
+
+    /**
+     * キャッシュの統計情報を返します。
+     * @returns {Promise<{memoryEntries: number, persistent: Object|null}>}
+     */
+    async getCacheStats() {
+        return {
+            memoryEntries: Object.keys(this.cache).length,
+            persistent: this.persistentCache ? await this.persistentCache.getStats() : null
+        };
+    }
 }
 
 /**
@@ -302,9 +817,189 @@ class GlyphLoader {
 class KanjiComposer {
     /**
      * @param {GlyphLoader} glyphLoader 
+     * @param {Object} [options]
+     * @param {number} [options.maxDepth] - 部品参照の入れ子の上限 (省略時はローダーの設定)
+     * @param {Object} [options.strokeRules] - 画数の数え方 (DEFAULT_STROKE_RULES を部分的に上書き)
+     * @param {string} [options.aspectPolicy='square'] - 合成結果の縦横比の扱い
+     *   'square': 短い方の辺を引き伸ばして常に正方形にする / 'free': 横長・縦長の途中結果を許す
+     * @param {number} [options.precision=2] - 合成結果のKAGEデータに残す座標の小数点以下の桁数
+     * @param {function(): number} [options.random=Math.random] - ランダム合成に使う乱数 (0以上1未満を返す関数)
+     *   SeededRandom#toFunction() を渡すと結果を再現できます。
+     * @param {Object} [options.weightRules] - ランダム合成の状態による重み付け (RandomWeights.DEFAULT_RULES を部分的に上書き)
+     * @param {Object} [options.proportionRules] - 複雑さに応じた分割比率の決め方 (DEFAULT_PROPORTION_RULES を部分的に上書き)
      */
-    constructor(glyphLoader) {
+    constructor(glyphLoader, options = {}) {
         this.loader = glyphLoader;
+        this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : glyphLoader.maxDepth;
+        this.strokeRules = { ...KanjiComposer.DEFAULT_STROKE_RULES, ...options.strokeRules };
+        this.aspectPolicy = options.aspectPolicy || 'square';
+        this.precision = options.precision !== undefined ? options.precision : 2;
+        this.random = options.random || Math.random;
+        this.weightRules = { ...RandomWeights.DEFAULT_RULES, ...options.weightRules };
+        this.proportionRules = { ...KanjiComposer.DEFAULT_PROPORTION_RULES, ...options.proportionRules };
+    }
+
+    /**
+     * 状態の論理サイズを幅と高さで返します。
+     * 幅・高さを持たない状態 (古いJSONの読み込み等) は logicalSize の正方形とみなします。
+     * @param {{logicalSize: number, logicalWidth?: number, logicalHeight?: number}} state
+     * @returns {LogicalBox}
+     */
+    static getLogicalBox(state) {
+        return {
+            width: state.logicalWidth !== undefined ? state.logicalWidth : state.logicalSize,
+            height: state.logicalHeight !== undefined ? state.logicalHeight : state.logicalSize
+        };
+    }
+
+    /**
+     * 状態の視覚的な密度を返します。
+     * 標準の字 (論理面積 200×200) の大きさに表示したときの画数で、値が大きいほど詰まって見えます。
+     * @param {{area: number, strokes: number}} state
+     * @returns {number}
+     */
+    static getVisualDensity(state) {
+        return state.strokes * 40000 / state.area;
+    }
+
+    /**
+     * 画数の数え方の既定値
+     * typeCounts: ストローク種別ごとの画数。記載のない種別 (0: 調整用 など) は数えません。
+     * continuationStartShapes: 直前のストロークの終点から始まり、始端形状がこれらに含まれるストロークは
+     *   前の画の続きとみなします (22: 右上カド。横線と縦線で書かれた横折れ など)。
+     */
+    static get DEFAULT_STROKE_RULES() {
+        return {
+            typeCounts: { 1: 1, 2: 1, 3: 1, 4: 1, 6: 1, 7: 1 },
+            continuationStartShapes: [22]
+        };
+    }
+
+    /**
+     * 複雑さに応じた分割比率の決め方の既定値
+     * strokeWeight, inkWeight: 複雑さに対する画数と線の総延長 (領域の一辺を1とする) の重み
+     * fillExponent: 筆跡の外接矩形が領域に占める割合を掛けるときの指数 (小さくまとまった字ほど単純とみなす)
+     * exponent: 複雑さの比に掛ける指数 (1で比例、0で複雑さを無視してレイアウト定義の比率のまま)
+     * minShare, maxShare: 追加・枠のレイアウトで、一方が占める比率の下限と上限
+     */
+    static get DEFAULT_PROPORTION_RULES() {
+        return {
+            strokeWeight: 1,
+            inkWeight: 1,
+            fillExponent: 0.5,
+            exponent: 0.5,
+            minShare: 0.25,
+            maxShare: 0.75
+        };
+    }
+
+    /**
+     * 展開済みのストロークの複雑さを測ります。
+     * @param {number[][]} strokes - 展開済みのストローク配列
+     * @param {LayoutBox} box - ストロークが描かれている領域 (ストロークと同じ座標系)
+     * @param {number} strokeCount - 画数
+     * @param {Object} [rules] - 重み付け (省略時は DEFAULT_PROPORTION_RULES)
+     * @returns {{strokes: number, ink: number, fill: number, value: number}} value が比率の計算に使う複雑さ
+     */
+    static measureComplexity(strokes, box, strokeCount, rules = KanjiComposer.DEFAULT_PROPORTION_RULES) {
+        let ink = 0;
+        let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+        for (const stroke of strokes) {
+            // 列の足りない行 (NaN の座標) は測らない
+            const points = KanjiComposer.getStrokePoints(stroke).filter(([x, y]) => isFinite(x) && isFinite(y));
+            points.forEach(([x, y], i) => {
+                if (i > 0) ink += Math.hypot(x - points[i - 1][0], y - points[i - 1][1]);
+                minX = Math.min(minX, x);
+                minY = Math.min(minY, y);
+                maxX = Math.max(maxX, x);
+                maxY = Math.max(maxY, y);
+            });
+        }
+        if (minX > maxX) return { strokes: strokeCount, ink: 0, fill: 0, value: 0 };
+        // 横線1本のような幅・高さのない筆跡でも、領域の1割の大きさはあるものとする
+        const inkW = Math.max(maxX - minX, box.w * 0.1);
+        const inkH = Math.max(maxY - minY, box.h * 0.1);
+        const fill = Math.min(1, (inkW * inkH) / (box.w * box.h));
+        const normalizedInk = ink / Math.sqrt(box.w * box.h);
+        const value = (rules.strokeWeight * strokeCount + rules.inkWeight * normalizedInk) * Math.pow(fill, rules.fillExponent);
+        return { strokes: strokeCount, ink: normalizedInk, fill, value };
+    }
+
+    /**
+     * 複雑さの比に応じて、レイアウト定義の比率を調整します。
+     * 同じ複雑さなら baseShare のまま、一方が複雑なほどその側の比率が大きくなります。
+     * @param {number} baseShare - 同じ複雑さのときの比率 (0.0 - 1.0)
+     * @param {number} complexity - 比率を求める側の複雑さ
+     * @param {number} otherComplexity - もう一方の複雑さ
+     * @param {Object} [rules] - 重み付け (省略時は DEFAULT_PROPORTION_RULES)
+     * @returns {number} rules.minShare 以上 rules.maxShare 以下の比率 (baseShare が範囲外なら baseShare までは許す)
+     */
+    static proportionalShare(baseShare, complexity, otherComplexity, rules = KanjiComposer.DEFAULT_PROPORTION_RULES) {
+        const odds = KanjiComposer.proportionalOdds(baseShare / (1 - baseShare), complexity, otherComplexity, rules);
+        return odds / (1 + odds);
+    }
+
+    /**
+     * proportionalShare() を、比率ではなく「もう一方に対する大きさの比」で求めます。
+     * 同じ複雑さなら baseOdds をそのまま返すため、継ぎ足す幅を誤差なく計算できます。
+     * @param {number} baseOdds - 同じ複雑さのときの、もう一方に対する大きさの比
+     * @param {number} complexity - 大きさを求める側の複雑さ
+     * @param {number} otherComplexity - もう一方の複雑さ
+     * @param {Object} [rules] - 重み付け (省略時は DEFAULT_PROPORTION_RULES)
+     * @returns {number}
+     */
+    static proportionalOdds(baseOdds, complexity, otherComplexity, rules = KanjiComposer.DEFAULT_PROPORTION_RULES) {
+        const ratio = complexity > 0 && otherComplexity > 0 ? Math.pow(complexity / otherComplexity, rules.exponent) : 1;
+        const toOdds = share => share / (1 - share);
+        const minOdds = Math.min(toOdds(rules.minShare), baseOdds);
+        const maxOdds = Math.max(toOdds(rules.maxShare), baseOdds);
+        return Math.min(maxOdds, Math.max(minOdds, baseOdds * ratio));
+    }
+
+    /**
+     * ストロークの制御点を [x, y] の配列で返します。
+     * 0 (調整用) などの描画されないストロークは空配列になります。
+     * @param {number[]} stroke - 展開済みのストローク
+     * @returns {number[][]}
+     */
+    static getStrokePoints(stroke) {
+        const pointCounts = { 1: 2, 2: 3, 3: 3, 4: 3, 6: 4, 7: 4 };
+        const count = pointCounts[stroke[0]] || 0;
+        const points = [];
+        for (let i = 0; i < count; i++) {
+            points.push([stroke[3 + i * 2], stroke[4 + i * 2]]);
+        }
+        return points;
+    }
+
+    /**
+     * 展開済みのストローク配列から画数を数えます。
+     * @param {number[][]} strokes - 展開済みのストローク配列
+     * @param {Object} [rules] - 画数の数え方 (省略時は DEFAULT_STROKE_RULES)
+     * @returns {number}
+     */
+    static countFlattenedStrokes(strokes, rules = KanjiComposer.DEFAULT_STROKE_RULES) {
+        let count = 0;
+        let prevEnd = null;
+        for (const stroke of strokes) {
+            const points = KanjiComposer.getStrokePoints(stroke);
+            const start = points[0];
+            const continues = prevEnd && start
+                && rules.continuationStartShapes.includes(stroke[1])
+                && start[0] === prevEnd[0] && start[1] === prevEnd[1];
+            if (!continues) count += rules.typeCounts[stroke[0]] || 0;
+            if (points.length > 0) prevEnd = points[points.length - 1];
+        }
+        return count;
+    }
+
+    /**
+     * KAGEデータを展開して画数を数えます。
+     * @param {string} kageData - KAGEデータ文字列 (部品は読み込み済みであること)
+     * @returns {number}
+     */
+    countStrokes(kageData) {
+        return KanjiComposer.countFlattenedStrokes(this.flatten(kageData), this.strokeRules);
     }
 
     /**
@@ -324,13 +1019,23 @@ class KanjiComposer {
     /**
      * KAGE文字列を絶対座標のストローク配列に分解・展開します。
      * 部品参照(99)はすべて絶対座標の線分に変換されます。
+     * 合成途中のデータの小数の座標は、切り捨てずにそのまま読み込みます。
      * @param {string} kageData - KAGEデータ文字列
      * @returns {number[][]} ストローク配列
+     * @throws {GlyphCycleError} 部品参照が循環している場合
+     * @throws {GlyphDepthError} 部品参照の入れ子が上限を超えた場合
      */
     flatten(kageData) {
         const kage = this._getKageInstance();
         kage.kBuhin.push("u_temp", kageData);
-        return kage.getEachStrokes(kageData);
+        GlyphLoader.checkBuhinStructure("u_temp", kageData, id => kage.kBuhin.search(id), this.maxDepth);
+        // KAGEエンジンは座標を整数に切り捨てて読むため、部品参照以外の行は自前で読む
+        // (切り捨てると、合成を重ねるごとに誤差がたまって細い部品が潰れる)
+        return kageData.split('$').flatMap(line => {
+            const columns = line.split(':');
+            if (Math.floor(columns[0]) === 99) return kage.getEachStrokes(line);
+            return [Array.from({ length: 11 }, (_, i) => Number(columns[i]))];
+        });
     }
 
     /**
@@ -364,10 +1069,10 @@ class KanjiComposer {
                 const val = newStroke[i];
                 if ((i - startIndex) % 2 === 0) {
                     // X座標変換
-                    newStroke[i] = Math.floor(val * scaleX + offsetX);
+                    newStroke[i] = val * scaleX + offsetX;
                 } else {
                     // Y座標変換
-                    newStroke[i] = Math.floor(val * scaleY + offsetY);
+                    newStroke[i] = val * scaleY + offsetY;
                 }
             }
             return newStroke;
@@ -376,184 +1081,596 @@ class KanjiComposer {
 
     /**
      * ストローク配列をKAGE文字列形式に再結合します。
+     * 座標は precision の桁数に丸めた小数のまま書き出します (整数にするのは quantize() で)。
+     * 展開時に補われた末尾の空の列 (NaN) は書き出しません。
      * @param {number[][]} strokes 
      * @returns {string}
      */
     stringify(strokes) {
-        return strokes.map(s => s.join(':')).join('$');
+        const unit = Math.pow(10, this.precision);
+        return strokes.map(s => {
+            const columns = s.map(v => Number.isFinite(v) ? Math.round(v * unit) / unit : v);
+            while (columns.length > 0 && Number.isNaN(columns[columns.length - 1])) columns.pop();
+            return columns.join(':');
+        }).join('$');
+    }
+
+    /**
+     * 小数の座標を含むKAGEデータを、整数の座標に丸めます。
+     * GlyphWiki など、整数の座標を前提とする場所に書き出すときに使用します。
+     * @param {string} kageData - KAGEデータ文字列
+     * @returns {string}
+     */
+    static quantize(kageData) {
+        return kageData.split('$').map(line => line.split(':')
+            .map(column => /^-?\d*\.\d+$/.test(column) ? String(Math.round(Number(column))) : column)
+            .join(':')).join('$');
+    }
+
+    /**
+     * 既存部分を複製する繰り返しかどうかを返します。
+     * このときパーツは使わず、構成木のノードの子は既存部分だけになります。
+     * @param {string} layoutMode - レイアウトID
+     * @param {Object} [layoutParams] - レイアウト固有のパラメータ
+     * @returns {boolean}
+     */
+    static repeatsCurrent(layoutMode, layoutParams) {
+        const layout = LayoutRegistry.get(layoutMode);
+        return !!layout && !!layout.repeat && !!layoutParams && layoutParams.source === 'current';
+    }
+
+    /**
+     * OVERLAY で指定できる配置 (center の他、上下左右と四隅)
+     */
+    static get OVERLAY_ALIGNMENTS() {
+        return ['center', 'top', 'bottom', 'left', 'right', 'top-left', 'top-right', 'bottom-left', 'bottom-right'];
+    }
+
+    /**
+     * 2つのストローク配列で交差しているストロークの組を求めます。
+     * 各ストロークは制御点を結んだ折れ線で近似し、kage/2d.js の isCross() で判定します。
+     * @param {number[][]} strokesA - 展開済みのストローク配列
+     * @param {number[][]} strokesB - 展開済みのストローク配列
+     * @returns {number[][]} 交差している [strokesAのインデックス, strokesBのインデックス] の配列
+     */
+    static findCollisions(strokesA, strokesB) {
+        const segmentsOf = stroke => {
+            const points = KanjiComposer.getStrokePoints(stroke);
+            return points.slice(1).map((p, i) => [...points[i], ...p]);
+        };
+        const segmentsB = strokesB.map(segmentsOf);
+        const collisions = [];
+        strokesA.forEach((strokeA, i) => {
+            const segmentsA = segmentsOf(strokeA);
+            segmentsB.forEach((segsB, j) => {
+                const crossed = segmentsA.some(a => segsB.some(b => isCross(...a, ...b)));
+                if (crossed) collisions.push([i, j]);
+            });
+        });
+        return collisions;
+    }
+
+    /**
+     * 要素の重み (画数など) に比例した分割比率を求めます。
+     * 下限に満たない要素は下限まで広げ、残りを他の要素で比例配分します。
+     * @param {number[]} weights - 各要素の重み
+     * @param {number} [minShare=0.2] - 1要素あたりの比率の下限
+     * @returns {number[]} 合計が1になる比率
+     */
+    static splitShares(weights, minShare = 0.2) {
+        const total = weights.reduce((sum, w) => sum + Math.max(w, 0), 0);
+        const shares = weights.map(w => total > 0 ? Math.max(w, 0) / total : 1 / weights.length);
+        const small = shares.map(share => share < minShare);
+        const fixed = small.filter(Boolean).length * minShare;
+        const rest = shares.reduce((sum, share, i) => small[i] ? sum : sum + share, 0);
+        return shares.map((share, i) => small[i] ? minShare : share / rest * (1 - fixed));
     }
 
     /**
      * 2つのパーツを合成し、新しい漢字データを生成します。
      * 面積保存則に基づき、新しい論理サイズと面積を計算します。
+     * 配置はレイアウトの定義 (LayoutRegistry) に従います。
+     * 複数パーツのレイアウト (THREE_COLUMNS / THREE_ROWS 等) では partData, partRect, partStrokes に追加パーツ分の配列を渡します。
      * * @param {string} currentData - 現在のキャンバス上の漢字データ
-     * @param {string} partData - 追加するパーツのデータ
-     * @param {string} layoutMode - 合成レイアウトモード (ADD_RIGHT, ADD_LEFT 等)
-     * @param {number} currentLogicalSize - 現在の論理サイズ (一辺の長さ)
+     * @param {string|string[]|null} partData - 追加するパーツのデータ (既存部分を複製する繰り返しではnull)
+     * @param {string} layoutMode - 合成レイアウトモード (LayoutRegistry に登録されたID。ADD_RIGHT, ADD_LEFT 等)
+     * @param {number|LogicalBox} currentLogicalSize - 現在の論理サイズ (正方形なら一辺の長さ、または幅と高さ)
      * @param {number} currentArea - 現在の論理面積
      * @param {number} areaFactor - 面積増加係数 (ユーザー調整用)
-     * @param {Rect} [partRect] - 追加パーツの有効領域情報
-     * @returns {{data: string, logicalSize: number, area: number}} 合成結果
+     * @param {Rect|Rect[]} [partRect] - 追加パーツの有効領域情報
+     * @param {number|number[]} [partStrokes] - 追加パーツの画数 (省略時はKAGEデータから数える)
+     * @param {Rect} [innerRect] - 囲みパーツの内側の領域 (ENCLOSE_UPPER_LEFT 等。省略時はレイアウト定義の params.inner)
+     * @param {Object} [layoutParams] - レイアウト固有のパラメータ
+     * @param {string} [layoutParams.align='center'] - OVERLAY: パーツの配置 (OVERLAY_ALIGNMENTS のいずれか)
+     * @param {number} [layoutParams.scale=1.0] - OVERLAY: 既存部分に対するパーツの大きさ (0.0 - 1.0)
+     * @param {boolean} [layoutParams.checkCollisions=false] - 既存部分とパーツのストロークの交差を調べるか (主に OVERLAY 用)
+     * @param {string} [layoutParams.source='part'] - 繰り返し (定義の repeat が true): 'part' ならパーツを、'current' なら既存部分を複製する
+     * @param {string} [layoutParams.aspectPolicy] - この合成での縦横比の扱い (省略時は aspectPolicy。構成木に記録された値を使うため)
+     * @param {number} [layoutParams.proportionExponent] - この合成での proportionRules.exponent (省略時は proportionRules のまま)
+     * @returns {{data: string, logicalSize: number, logicalWidth: number, logicalHeight: number, area: number, strokes: number, collisions?: number[][]}} 合成結果
+     *   logicalSize は幅と高さの大きい方です。collisions は checkCollisions 指定時のみ (交差している [既存のストローク番号, パーツのストローク番号] の配列)
+     * @throws {Error} 登録されていないレイアウトを指定した場合
      */
-    compose(currentData, partData, layoutMode, currentLogicalSize, currentArea, currentStrokes, areaFactor, partRect, partStrokes) {
+    compose(currentData, partData, layoutMode, currentLogicalSize, currentArea, currentStrokes, areaFactor, partRect, partStrokes, innerRect, layoutParams = {}) {
+        const multi = Array.isArray(partData);
+        const partDataList = multi ? partData : (partData !== null && partData !== undefined ? [partData] : []);
+        const partRects = multi ? (partRect || []) : [partRect];
+        const partStrokesList = multi ? (partStrokes || []) : [partStrokes];
+
         const strokesCurrent = this.flatten(currentData);
-        const strokesPart = this.flatten(partData);
+        const strokesParts = partDataList.map(d => this.flatten(d));
+        const partCounts = strokesParts.map((strokes, i) => partStrokesList[i] !== undefined
+            ? partStrokesList[i]
+            : KanjiComposer.countFlattenedStrokes(strokes, this.strokeRules));
+        const strokesPart = strokesParts[0];
+        partStrokes = partCounts[0];
 
-        let nextLogicalSize = currentLogicalSize;
-        let boxCurrent = {}, boxPart = {};
-        let nextStrokes = currentStrokes + partStrokes;
+        const { width: currentW, height: currentH } = typeof currentLogicalSize === 'number'
+            ? { width: currentLogicalSize, height: currentLogicalSize }
+            : currentLogicalSize;
+        const aspectPolicy = layoutParams.aspectPolicy || this.aspectPolicy;
+        const layout = LayoutRegistry.get(layoutMode);
+        if (!layout) throw new Error(`Unknown layout "${layoutMode}"`);
 
         // デフォルトのパーツRect (指定なければフルサイズ)
-        const srcPartRect = partRect || { x:0, y:0, w:1, h:1 };
+        const srcPartRect = partRects[0] || { x:0, y:0, w:1, h:1 };
+
+        // 分割比率の計算に使う複雑さ (パーツは有効領域の中で測る)
+        const rules = layoutParams.proportionExponent !== undefined
+            ? { ...this.proportionRules, exponent: layoutParams.proportionExponent }
+            : this.proportionRules;
+        const complexity = KanjiComposer.measureComplexity(strokesCurrent, { x: 0, y: 0, w: currentW, h: currentH }, currentStrokes, rules).value;
+        const partComplexity = strokesParts.map((strokes, i) => {
+            const rect = partRects[i] || { x: 0, y: 0, w: 1, h: 1 };
+            const box = { x: rect.x * 200, y: rect.y * 200, w: rect.w * 200, h: rect.h * 200 };
+            return KanjiComposer.measureComplexity(strokes, box, partCounts[i], rules).value;
+        });
         
-        // --- 1. レイアウトごとの配置計算と論理サイズの決定 ---
-
-        if (layoutMode === 'ADD_RIGHT') {
-            const addW = 300;
-            nextLogicalSize = currentLogicalSize + addW;
-            boxCurrent = { x: 0, y: 0, w: currentLogicalSize, h: nextLogicalSize };
-            boxPart = { x: currentLogicalSize, y: 0, w: addW, h: nextLogicalSize };
-        } else if (layoutMode === 'ADD_LEFT') {
-            const addW = 120;
-            nextLogicalSize = currentLogicalSize + addW;
-            boxPart = { x: 0, y: 0, w: addW, h: nextLogicalSize };
-            boxCurrent = { x: addW, y: 0, w: currentLogicalSize, h: nextLogicalSize };
-        } else if (layoutMode === 'ADD_TOP') {
-            const addH = 150;
-            nextLogicalSize = currentLogicalSize + addH;
-            boxPart = { x: 0, y: 0, w: nextLogicalSize, h: addH };
-            boxCurrent = { x: 0, y: addH, w: nextLogicalSize, h: currentLogicalSize };
-        } else if (layoutMode === 'ADD_BOTTOM') {
-            const addH = 150;
-            nextLogicalSize = currentLogicalSize + addH;
-            boxCurrent = { x: 0, y: 0, w: nextLogicalSize, h: currentLogicalSize };
-            boxPart = { x: 0, y: currentLogicalSize, w: nextLogicalSize, h: addH };
-        } else if (layoutMode === 'NYOU') {
-            // しんにょう: 既存パーツを縮小して右上に配置
-            nextLogicalSize = currentLogicalSize / 0.7;
-            const margin = nextLogicalSize - currentLogicalSize;
-            const offsetY = nextLogicalSize * 0.1;
-            boxPart = { x: 0, y: 0, w: nextLogicalSize, h: nextLogicalSize };
-            boxCurrent = { x: margin, y: offsetY, w: currentLogicalSize, h: currentLogicalSize };
-        } else if (layoutMode === 'ENCLOSE') {
-            // 囲み: 既存パーツを中心に配置
-            nextLogicalSize = currentLogicalSize + 70;
-            const boxSize = nextLogicalSize * 1.4 - 70;
-            const boxPadding = (nextLogicalSize - boxSize) / 2;
-            const padding = (nextLogicalSize - currentLogicalSize) / 2;
-            boxPart = { x: boxPadding, y: boxPadding, w: boxSize, h: boxSize };
-            boxCurrent = { x: padding, y: padding, w: currentLogicalSize, h: currentLogicalSize };
-        } else if (layoutMode === 'ENCLOSE_GATE') {
-            // 門構え: 中身を縮小して下部に配置
-            const innerRatio = 0.75; 
-            nextLogicalSize = currentLogicalSize / innerRatio;
-            boxPart = { x: 0, y: 0, w: nextLogicalSize, h: nextLogicalSize };
-            const contentScale = 0.5;
-            const contentW = nextLogicalSize * contentScale;
-            const contentH = nextLogicalSize * contentScale;
-            const offsetX = (nextLogicalSize - contentW) / 2;
-            const offsetY = nextLogicalSize * 0.45;
-            boxCurrent = { x: offsetX, y: offsetY, w: contentW, h: contentH };
-        } else if (layoutMode === 'TRIANGLE') {
-            // 品字型: 既存を無視してパーツを3つ配置する特殊モード
-            nextLogicalSize = currentLogicalSize * 2;
-            const nextArea = (40000 * 3) * areaFactor; 
-            const half = nextLogicalSize / 2;
-            const boxTop = { x: half/2, y: 0, w: half, h: half };
-            const boxLeft = { x: 0, y: half, w: half, h: half };
-            const boxRight = { x: half, y: half, w: half, h: half };
-            
-            const s1 = this.transformStrokes(strokesPart, boxTop, srcPartRect);
-            const s2 = this.transformStrokes(strokesPart, boxLeft, srcPartRect);
-            const s3 = this.transformStrokes(strokesPart, boxRight, srcPartRect);
-            return {
-                data: this.stringify([...s1, ...s2, ...s3]),
-                logicalSize: nextLogicalSize,
-                area: nextArea,
-                strokes: partStrokes * 3
-            };
+        // --- 1. レイアウトの定義による配置計算と論理サイズ (幅・高さ) の決定 ---
+        // 既存部分は縦横比を保ったまま配置し、正方形に揃えるかどうかは次の段階で決める
+        const placement = LayoutRegistry.place(layout, {
+            width: currentW,
+            height: currentH,
+            strokes: currentStrokes,
+            partStrokes: partCounts,
+            complexity,
+            partComplexity,
+            proportionRules: rules,
+            partRect: srcPartRect,
+            innerRect: innerRect || null,
+            aspectPolicy,
+            layoutParams
+        });
+        let nextW = placement.width, nextH = placement.height;
+        let boxCurrent = placement.current;
+        let boxParts = placement.parts;
+
+        // --- 2. 縦横比の調整 ---
+        // square: 短い方の辺を引き伸ばして正方形に揃える / free: 横長・縦長のまま残す
+        if (aspectPolicy === 'square' && nextW !== nextH) {
+            const side = Math.max(nextW, nextH);
+            const sx = side / nextW;
+            const sy = side / nextH;
+            const stretch = box => ({ x: box.x * sx, y: box.y * sy, w: box.w * sx, h: box.h * sy });
+            if (boxCurrent) boxCurrent = stretch(boxCurrent);
+            boxParts = boxParts.map(stretch);
+            nextW = nextH = side;
         }
 
-        // --- 2. 面積計算 (Area Preservation) ---
-        const baseRatio = nextLogicalSize / currentLogicalSize;
+        // --- 3. 面積計算 (Area Preservation) ---
+        // 論理サイズの伸び率は、幅と高さの相乗平均で測る (正方形なら一辺の伸び率と同じ)
+        const baseRatio = Math.sqrt((nextW * nextH) / (currentW * currentH));
         const baseNextArea = currentArea * baseRatio;
         const deltaArea = baseNextArea - currentArea;
         const adjustedDelta = deltaArea * areaFactor;
         const nextArea = currentArea + adjustedDelta;
+        // 論理サイズも丸めない (丸めたサイズで次の合成の縮尺を求めると、実際のストロークの広がりとずれる)
+        const nextSize = {
+            logicalSize: Math.max(nextW, nextH),
+            logicalWidth: nextW,
+            logicalHeight: nextH
+        };
+
+        // --- 4. 変形適用 (Affine Transform) ---
 
-        // --- 3. 変形適用 (Affine Transform) ---
+        if (layout.repeat) {
+            // 繰り返し: パーツか既存部分の一方だけを複製し、もう一方は使わない
+            const fromCurrent = KanjiComposer.repeatsCurrent(layoutMode, layoutParams);
+            const unitStrokes = fromCurrent ? strokesCurrent : strokesPart;
+            const unitRect = fromCurrent
+                ? { x: 0, y: 0, w: currentW / 200, h: currentH / 200 }
+                : srcPartRect;
+            const unitArea = fromCurrent ? currentArea : 40000;
+            const unitCount = fromCurrent ? currentStrokes : partStrokes;
+            const copies = boxParts.map(box => this.transformStrokes(unitStrokes, box, unitRect));
+            return {
+                data: this.stringify(copies.flat()),
+                ...nextSize,
+                area: layout.area === 'copies'
+                    ? unitArea + (unitArea * copies.length - unitArea) * areaFactor
+                    : nextArea,
+                strokes: unitCount * copies.length
+            };
+        }
         
         // 既存データの変換:
-        const scaleX_curr = boxCurrent.w / currentLogicalSize;
-        const scaleY_curr = boxCurrent.h / currentLogicalSize;
+        const scaleX_curr = boxCurrent.w / currentW;
+        const scaleY_curr = boxCurrent.h / currentH;
         const offsetX_curr = boxCurrent.x;
         const offsetY_curr = boxCurrent.y;
         
         const transCurrent = strokesCurrent.map(s => {
             const newStroke = [...s];
             for (let i = 3; i < newStroke.length; i+=2) {
-                newStroke[i] = Math.floor(newStroke[i] * scaleX_curr + offsetX_curr);
-                newStroke[i+1] = Math.floor(newStroke[i+1] * scaleY_curr + offsetY_curr);
+                newStroke[i] = newStroke[i] * scaleX_curr + offsetX_curr;
+                newStroke[i+1] = newStroke[i+1] * scaleY_curr + offsetY_curr;
             }
             return newStroke;
         });
 
         // 新規パーツの変換 (Rect対応):
-        const transPart = this.transformStrokes(strokesPart, boxPart, srcPartRect);
+        const transPart = strokesParts.flatMap((strokes, i) => this.transformStrokes(strokes, boxParts[i], partRects[i] || { x:0, y:0, w:1, h:1 }));
         
-        return {
+        const result = {
             data: this.stringify([...transCurrent, ...transPart]),
-            logicalSize: Math.floor(nextLogicalSize),
+            ...nextSize,
             area: nextArea,
-            strokes: nextStrokes
+            strokes: partCounts.reduce((sum, count) => sum + count, currentStrokes)
         };
+        if (layoutParams.checkCollisions) {
+            result.collisions = KanjiComposer.findCollisions(transCurrent, transPart);
+        }
+        return result;
     }
 
     /**
-     * ランダムに漢字を選んで合成を行います。
-     * 設定リスト(GlyphConfig.CHARS)からランダムにパーツと配置を選択し、
-     * バリアント解決とロードを行ってから合成結果を返します。
-     * * @param {string} currentData - 現在の漢字データ
-     * @param {number} currentLogicalSize - 現在の論理サイズ
-     * @param {number} currentArea - 現在の論理面積
-     * @param {number} areaFactor - 面積係数
-     * @returns {Promise<{data: string, logicalSize: number, area: number, info: {char: string, layout: string}}>}
+     * レイアウト固有のパラメータに、合成結果を左右する合成器の設定 (縦横比の扱いと、分割比率への複雑さの反映) を書き加えます。
+     * 構成木のノードに記録しておくと、後で設定を変えても木から同じ結果を組み立て直せます。
+     * すでに記録されている設定はそのまま残します。
+     * @param {Object} [layoutParams] - レイアウト固有のパラメータ
+     * @returns {Object}
      */
-    async composeRandom(currentData, currentLogicalSize, currentArea, currentStrokes, areaFactor) {
-        // 1. 重み付きでランダムなパーツを選択
-        const charConfig = GlyphConfig.getRandomChar();
-        
-        // 2. そのパーツが許可するレイアウトからランダムに選択
-        const layoutMode = charConfig.layouts[Math.floor(Math.random() * charConfig.layouts.length)];
-        
-        // 3. バリアントとRectの解決 (GlyphConfigに委譲)
-        const { id, rect: partRect, strokes: partStrokes } = GlyphConfig.getVariantInfo(charConfig, layoutMode);
-        const partDataStr = await this.loader.load(id);
+    withSettings(layoutParams = {}) {
+        return { aspectPolicy: this.aspectPolicy, proportionExponent: this.proportionRules.exponent, ...layoutParams };
+    }
 
-        // 4. 合成実行
+    /**
+     * 現在の状態にカタログのパーツを合成し、構成木も1段深くします。
+     * 既存部分は再計算せず、現在の合成結果のデータをそのまま使います。
+     * @param {{data: string, logicalSize: number, logicalWidth?: number, logicalHeight?: number, area: number, strokes: number, tree?: CompositionNode|null}} current - 現在の状態
+     * @param {CharConfig|CharConfig[]} charConfig - 追加するパーツの文字設定
+     *   (THREE_COLUMNS / THREE_ROWS では GlyphConfig.getPartCount() 個の配列)
+     *   (既存部分を複製する繰り返しでは使用しません)
+     * @param {string} layoutMode - 合成レイアウトモード
+     * @param {number} areaFactor - 面積増加係数
+     * @param {Object} [layoutParams] - レイアウト固有のパラメータ (compose() を参照。withSettings() の設定とともに構成木にも記録されます)
+     * @returns {Promise<{data: string, logicalSize: number, logicalWidth: number, logicalHeight: number, area: number, strokes: number, tree: LayoutNode, ids: string, pins: Object.<string, number>, collisions?: number[][]}>}
+     */
+    async composePart(current, charConfig, layoutMode, areaFactor, layoutParams) {
+        layoutParams = this.withSettings(layoutParams);
+        const multi = Array.isArray(charConfig);
+        const configs = KanjiComposer.repeatsCurrent(layoutMode, layoutParams) ? [] : multi ? charConfig : [charConfig];
+        const leaves = configs.map(c => CompositionTree.leaf(c, layoutMode));
+        const partDataList = await Promise.all(leaves.map(leaf => this.loader.load(leaf.id)));
+        const pick = values => multi ? values : values[0];
         const result = this.compose(
-            currentData, 
-            partDataStr, 
-            layoutMode, 
-            currentLogicalSize, 
-            currentArea, 
-            currentStrokes,
+            current.data,
+            pick(partDataList),
+            layoutMode,
+            KanjiComposer.getLogicalBox(current),
+            current.area,
+            current.strokes,
             areaFactor,
-            partRect,
-            partStrokes
+            pick(leaves.map(leaf => CompositionTree.getRect(leaf))),
+            pick(leaves.map(leaf => leaf.strokes)),
+            multi || !leaves[0] ? undefined : CompositionTree.getRect(leaves[0], 'inner'),
+            layoutParams
         );
-        
-        // 結果と、何を追加したかの情報を返す
+        // 構成木を持たない状態 (古いJSONの読み込み等) は構成不明の葉として扱う
+        const base = current.tree || CompositionTree.raw(current);
+        const tree = CompositionTree.node(layoutMode, [base, ...leaves], areaFactor, layoutParams);
+        const pins = {};
+        for (const leaf of leaves) Object.assign(pins, this.loader.getPins(leaf.id));
         return {
             ...result,
-            info: {
-                char: charConfig.char,
-                layout: layoutMode
-            }
+            tree,
+            ids: IdsParser.stringify(tree),
+            pins
         };
     }
+
+    /**
+     * 構成木全体からKAGEデータを組み立て直します。
+     * 部品の削除・置換・レイアウト変更の後に使用します。
+     * @param {CompositionNode} tree - 構成木
+     * @returns {Promise<{data: string, logicalSize: number, logicalWidth: number, logicalHeight: number, area: number, strokes: number, pins: Object.<string, number>}>}
+     */
+    async renderTree(tree) {
+        const result = await this._renderNode(tree);
+        const pins = {};
+        for (const id of CompositionTree.getGlyphIds(tree)) Object.assign(pins, this.loader.getPins(id));
+        return { ...result, pins };
+    }
+
+    /**
+     * IDS (例: "⿰木⿱日口") から漢字を合成します。
+     * @param {string} ids - IDS文字列
+     * @param {Object} [options] - IdsParser.toTree() と同じオプション (areaFactor, allowUnknown)
+     * @returns {Promise<{data: string, logicalSize: number, logicalWidth: number, logicalHeight: number, area: number, strokes: number, pins: Object.<string, number>, tree: CompositionNode, ids: string}>}
+     *   ids は正規化したIDS (入力と異なる場合があります)
+     * @throws {IdsError} 未対応の記述文字・文字がある場合
+     */
+    async composeIds(ids, options = {}) {
+        const tree = this._recordSettings(IdsParser.toCompositionTree(ids, options));
+        const result = await this.renderTree(tree);
+        return { ...result, tree, ids: IdsParser.stringify(tree) };
+    }
+
+    /**
+     * 構成木のすべてのレイアウトのノードに、現在の合成器の設定を記録します (withSettings() を参照)。
+     * @param {CompositionNode} node
+     * @returns {CompositionNode} 新しい木
+     * @private
+     */
+    _recordSettings(node) {
+        if (node.type !== 'layout') return node;
+        return { ...node, params: this.withSettings(node.params), children: node.children.map(child => this._recordSettings(child)) };
+    }
+
+    /**
+     * 構成木を組み立てます。レイアウトのノードに記録された設定は、現在の合成器の設定より優先します。
+     * @param {CompositionNode} node
+     * @returns {Promise<{data: string, logicalSize: number, logicalWidth: number, logicalHeight: number, area: number, strokes: number}>}
+     * @private
+     */
+    async _renderNode(node) {
+        if (node.type === 'data') {
+            const { width, height } = KanjiComposer.getLogicalBox(node);
+            return { data: node.data, logicalSize: node.logicalSize, logicalWidth: width, logicalHeight: height, area: node.area, strokes: node.strokes };
+        }
+        if (node.type === 'glyph') {
+            const data = await this.loader.load(node.id);
+            const strokes = node.strokes !== undefined ? node.strokes : this.countStrokes(data);
+            return { data, logicalSize: 200, logicalWidth: 200, logicalHeight: 200, area: 40000, strokes };
+        }
+
+        let current = await this._renderNode(node.children[0]);
+        if (KanjiComposer.repeatsCurrent(node.layout, node.params)) {
+            return this.compose(
+                current.data,
+                null,
+                node.layout,
+                KanjiComposer.getLogicalBox(current),
+                current.area,
+                current.strokes,
+                node.areaFactor,
+                undefined,
+                undefined,
+                undefined,
+                node.params
+            );
+        }
+        if (GlyphConfig.getPartCount(node.layout) > 1) {
+            // 複数パーツのレイアウトは1回の compose() でまとめて配置する
+            const operands = [];
+            for (const part of node.children.slice(1)) operands.push(await this._renderOperand(part));
+            return this.compose(
+                current.data,
+                operands.map(o => o.data),
+                node.layout,
+                KanjiComposer.getLogicalBox(current),
+                current.area,
+                current.strokes,
+                node.areaFactor,
+                operands.map(o => o.rect),
+                operands.map(o => o.strokes),
+                undefined,
+                node.params
+            );
+        }
+        for (const part of node.children.slice(1)) {
+            const operand = await this._renderOperand(part);
+            current = this.compose(
+                current.data,
+                operand.data,
+                node.layout,
+                KanjiComposer.getLogicalBox(current),
+                current.area,
+                current.strokes,
+                node.areaFactor,
+                operand.rect,
+                operand.strokes,
+                operand.inner,
+                node.params
+            );
+        }
+        return current;
+    }
+
+    /**
+     * 追加パーツ側のノードを compose() に渡せる形 (200x200のKAGEデータ) にします。
+     * 合成済みの部分木は論理サイズから200x200へ縮小します。
+     * @param {CompositionNode} node
+     * @returns {Promise<{data: string, rect: Rect|null, strokes: number|undefined, inner: Rect|null}>}
+     * @private
+     */
+    async _renderOperand(node) {
+        if (node.type === 'glyph') {
+            return {
+                data: await this.loader.load(node.id),
+                rect: CompositionTree.getRect(node),
+                strokes: node.strokes,
+                inner: CompositionTree.getRect(node, 'inner')
+            };
+        }
+        const rendered = await this._renderNode(node);
+        const { width, height } = KanjiComposer.getLogicalBox(rendered);
+        const strokes = this.transformStrokes(this.flatten(rendered.data), { x: 0, y: 0, w: 200, h: 200 }, { x: 0, y: 0, w: width / 200, h: height / 200 });
+        return { data: this.stringify(strokes), rect: null, strokes: rendered.strokes, inner: null };
+    }
+
+    /**
+     * ランダムに漢字を選んで合成を行います。
+     * 設定リスト(GlyphConfig.CHARS)からランダムにパーツと配置を選択し、
+     * バリアント解決とロードを行ってから合成結果を返します。
+     * パーツとレイアウトの組は、カタログの重みと現在の状態から RandomWeights で重み付けして選びます。
+     * 制約を指定した場合は、満たす結果が得られるまで、まだ試していないパーツとレイアウトの組で合成をやり直します。
+     * * @param {{data: string, logicalSize: number, logicalWidth?: number, logicalHeight?: number, area: number, strokes: number, tree?: CompositionNode|null}} current - 現在の状態
+     * @param {number} areaFactor - 面積係数
+     * @param {Object} [options]
+     * @param {function(): number} [options.random] - この合成に使う乱数 (省略時はコンストラクタで指定したもの)
+     * @param {Object} [options.constraints] - 制約 (RandomConstraints のコンストラクタを参照)
+     * @returns {Promise<{data: string, logicalSize: number, logicalWidth: number, logicalHeight: number, area: number, strokes: number, tree: LayoutNode, ids: string, pins: Object.<string, number>, info: {char: string, layout: string, attempts: number}}>}
+     * @throws {RandomConstraintError} 制約を満たす合成が見つからない場合
+     */
+    async composeRandom(current, areaFactor, options = {}) {
+        const random = options.random || this.random;
+        const rules = new RandomConstraints(options.constraints, current);
+        const weights = new RandomWeights(current, this.weightRules);
+        const contradiction = rules.findContradiction();
+        if (contradiction) throw new RandomConstraintError({}, 0, contradiction);
+
+        // 試したパーツとレイアウトの組 (同じ組は選び直さない)
+        const tried = new Map();
+        const untriedLayouts = c => c.layouts.filter(l => rules.allows(c, l) && !(tried.get(c.char) || []).includes(l));
+
+        let attempts = 0;
+        let exhausted = false;
+        while (attempts < rules.maxAttempts) {
+            // 1. 重み付きでランダムなパーツを選択
+            const charConfig = GlyphConfig.getRandomChar(c => untriedLayouts(c).length > 0, random, c => weights.getCharWeight(c, untriedLayouts(c)));
+            if (!charConfig) {
+                exhausted = true; // すべての組を試した
+                break;
+            }
+
+            // 2. そのパーツが許可するレイアウトから重み付きで選択
+            const layoutMode = weights.pickLayout(charConfig, untriedLayouts(charConfig), random);
+            if (!layoutMode) {
+                exhausted = true; // 重みのあるレイアウトが残っていない
+                break;
+            }
+            tried.set(charConfig.char, [...(tried.get(charConfig.char) || []), layoutMode]);
+
+            // 3. 複数パーツのレイアウトでは、同じレイアウトを許可する文字から残りのパーツを選ぶ
+            const partCount = GlyphConfig.getPartCount(layoutMode);
+            let parts = charConfig;
+            if (partCount > 1) {
+                parts = [charConfig];
+                while (parts.length < partCount) {
+                    const extra = GlyphConfig.getRandomChar(
+                        c => c.layouts.includes(layoutMode) && rules.allowsExtra(c, parts), random, c => weights.getPartWeight(c, layoutMode)
+                    );
+                    if (!extra) break;
+                    parts.push(extra);
+                }
+                if (parts.length < partCount) {
+                    rules.reject('parts');
+                    continue;
+                }
+            }
+
+            // 4. バリアント解決・ロード・合成 (構成木も更新)
+            attempts++;
+            const result = await this.composePart(current, parts, layoutMode, areaFactor);
+            const rejected = rules.check(result);
+            if (rejected) {
+                rules.reject(rejected);
+                continue;
+            }
+
+            // 結果と、何を追加したかの情報を返す
+            return {
+                ...result,
+                info: {
+                    char: charConfig.char,
+                    layout: layoutMode,
+                    attempts
+                }
+            };
+        }
+        throw new RandomConstraintError(rules.rejections, attempts, undefined, exhausted);
+    }
+
+    /**
+     * 現在の状態から composeRandom() が最初に選ぶパーツとレイアウトの組の確率を返します。
+     * @param {Object} current - 現在の状態
+     * @param {Object} [constraints] - 制約 (composeRandom() を参照。合成結果の検査による却下は含みません)
+     * @returns {{char: string, layout: string, probability: number}[]} 確率の高い順
+     */
+    getRandomDistribution(current, constraints) {
+        const rules = new RandomConstraints(constraints, current);
+        if (rules.findContradiction()) return [];
+        const weights = new RandomWeights(current, this.weightRules);
+        return weights.getDistribution(GlyphConfig.CHARS, c => c.layouts.filter(l => rules.allows(c, l)));
+    }
+
+    /**
+     * ランダム合成を続けて行います。
+     * シードを指定した場合、n 回目 (0始まり) の合成には SeededRandom.derive(seed, firstStep + n) を使うため、
+     * 途中の回から続けても、まとめて行っても同じ結果になります。
+     * @param {{data: string, logicalSize: number, logicalWidth?: number, logicalHeight?: number, area: number, strokes: number, tree?: CompositionNode|null}} current - 開始する状態
+     * @param {number} areaFactor - 面積係数
+     * @param {number} steps - 合成の回数
+     * @param {Object} [options]
+     * @param {number} [options.seed] - 乱数のシード (省略時はコンストラクタで指定した乱数)
+     * @param {number} [options.firstStep=0] - 最初の合成の回数 (シードからの続きを作る場合)
+     * @param {Object} [options.constraints] - 各回の制約 (composeRandom() を参照)
+     * @returns {Promise<Array>} 各回の composeRandom() の結果
+     * @throws {RandomConstraintError} 途中の回で制約を満たせない場合
+     */
+    async composeRandomSteps(current, areaFactor, steps, options = {}) {
+        const firstStep = options.firstStep || 0;
+        const results = [];
+        let state = current;
+        for (let i = 0; i < steps; i++) {
+            const random = options.seed !== undefined ? SeededRandom.derive(options.seed, firstStep + i).toFunction() : undefined;
+            state = await this.composeRandom(state, areaFactor, { random, constraints: options.constraints });
+            results.push(state);
+        }
+        return results;
+    }
+
+    /**
+     * 同じ状態から、ランダム合成を続けた候補を複数作ります。
+     * 候補ごとに別のシードを使います。制約を満たせなかった候補は、結果を持たずにエラーだけを返します。
+     * @param {Object} current - 開始する状態 (composeRandomSteps() を参照)
+     * @param {number} areaFactor - 面積係数
+     * @param {number} count - 候補の数
+     * @param {number} steps - 各候補の合成の回数
+     * @param {Object} [options]
+     * @param {number} [options.seed] - 候補のシードを決めるシード (省略時は候補ごとに新しいシード)
+     * @param {Object} [options.constraints] - 各回の制約
+     * @returns {Promise<{seed: number, steps: Array, error?: Error}[]>}
+     */
+    async composeRandomBatch(current, areaFactor, count, steps, options = {}) {
+        const candidates = [];
+        for (let i = 0; i < count; i++) {
+            const seed = options.seed !== undefined
+                ? Math.floor(SeededRandom.derive(options.seed, i).next() * 0x100000000)
+                : SeededRandom.randomSeed();
+            const candidate = { seed, steps: [] };
+            try {
+                candidate.steps = await this.composeRandomSteps(current, areaFactor, steps, { seed, constraints: options.constraints });
+            } catch (e) {
+                if (!(e instanceof RandomConstraintError)) throw e;
+                candidate.error = e;
+            }
+            candidates.push(candidate);
+        }
+        return candidates;
+    }
 }
 
+/**
+ * ランダム合成の結果を左右する設定 (シードと合わせて記録し、再生時に使います)
+ * @typedef {Object} RandomSettings
+ * @property {number} areaFactor - 面積増加係数
+ * @property {string} aspectPolicy - 縦横比の扱い (KanjiComposer の aspectPolicy)
+ * @property {number} proportionExponent - 分割比率への複雑さの反映 (KanjiComposer の proportionRules.exponent)
+ * @property {Object} constraints - 各回の制約 (RandomConstraints のコンストラクタを参照)
+ */
+
 /**
  * 編集状態管理クラス (State)
  * 履歴管理、JSON入出力APIを提供します。
@@ -564,28 +1681,78 @@ class KanjiEditorState {
         this.state = this._getInitialState();
     }
     _getInitialState() {
-        return { data: "", logicalSize: 200, area: 40000, strokes: 0 };
+        return { data: "", logicalSize: 200, logicalWidth: 200, logicalHeight: 200, area: 40000, strokes: 0, pins: {}, tree: null, random: null };
     }
     
     /**
      * 状態をリセットします。
      * @param {string} initialData - 初期データ
      * @param {number} initialStrokes - 初期の画数
+     * @param {Object.<string, number>} [initialPins] - 初期データで使用したグリフの版番号
+     * @param {CompositionNode|null} [initialTree] - 初期データの構成木
      */
-    reset(initialData, initialStrokes = 0) {
+    reset(initialData, initialStrokes = 0, initialPins = {}, initialTree = null) {
         this.history = [];
-        this.state = { data: initialData, logicalSize: 200, area: 40000, strokes: initialStrokes };
+        this.state = { data: initialData, logicalSize: 200, logicalWidth: 200, logicalHeight: 200, area: 40000, strokes: initialStrokes, pins: { ...initialPins }, tree: initialTree, random: null };
     }
     
     /**
      * 新しい状態に更新し、履歴に追加します。
+     * @param {string} newData - 新しいKAGEデータ
+     * @param {number|LogicalBox} newSize - 新しい論理サイズ (正方形なら一辺の長さ、または幅と高さ)
+     * @param {Object.<string, number>} [newPins] - 今回追加したグリフの版番号 (既存の記録に追加されます)
+     * @param {CompositionNode|null} [newTree] - 新しい状態の構成木
      */
-    update(newData, newSize, newArea, newStrokes) {
+    update(newData, newSize, newArea, newStrokes, newPins = {}, newTree = null) {
         this.history.push({ ...this.state });
         this.state.data = newData;
-        this.state.logicalSize = newSize;
+        const box = typeof newSize === 'number' ? { width: newSize, height: newSize } : newSize;
+        this.state.logicalSize = Math.max(box.width, box.height);
+        this.state.logicalWidth = box.width;
+        this.state.logicalHeight = box.height;
         this.state.area = newArea;
         this.state.strokes = newStrokes;
+        this.state.pins = { ...this.state.pins, ...newPins };
+        this.state.tree = newTree;
+        // ランダム以外の合成を挟むとシードから再現できなくなるため、記録を消す (ランダム合成では setRandom() で付け直す)
+        this.state.random = null;
+    }
+
+    /**
+     * 現在の状態がランダム合成で作られたことを記録します (update() の後に呼びます)。
+     * 初期状態から同じシードと設定で steps 回ランダム合成すると、同じ結果を再現できます。
+     * @param {number} seed - 乱数のシード
+     * @param {number} steps - 初期状態からのランダム合成の回数
+     * @param {RandomSettings} settings - 合成に使った設定
+     */
+    setRandom(seed, steps, settings) {
+        this.state.random = { seed, steps, settings: { ...settings, constraints: { ...settings.constraints } } };
+    }
+
+    /**
+     * JSONから読み込んだランダム合成の記録を検証します。
+     * 設定のない記録 (古いJSON) は同じ結果を再現できないため、記録なしとして扱います。
+     * @param {*} random
+     * @returns {{seed: number, steps: number, settings: RandomSettings}|null}
+     * @private
+     */
+    static _parseRandom(random) {
+        if (!random || !Number.isInteger(random.seed) || !Number.isInteger(random.steps)) return null;
+        const settings = random.settings;
+        if (!settings || typeof settings.areaFactor !== 'number' || typeof settings.aspectPolicy !== 'string'
+            || typeof settings.proportionExponent !== 'number') return null;
+        const constraints = settings.constraints;
+        if (constraints === null || typeof constraints !== 'object' || Array.isArray(constraints)) return null;
+        return {
+            seed: random.seed,
+            steps: random.steps,
+            settings: {
+                areaFactor: settings.areaFactor,
+                aspectPolicy: settings.aspectPolicy,
+                proportionExponent: settings.proportionExponent,
+                constraints: { ...constraints }
+            }
+        };
     }
     
     /**
@@ -602,11 +1769,22 @@ class KanjiEditorState {
     
     getCurrent() { return this.state; }
     getTotalStrokes() { return this.state.strokes; }
+
+    /**
+     * 現在の状態の構成をIDSで返します。
+     * @returns {string|null} 構成木がない場合はnull
+     */
+    getIds() { return this.state.tree ? IdsParser.stringify(this.state.tree) : null; }
     
     /**
      * 現在の状態をJSON文字列としてエクスポートします。
+     * 使用したグリフの版番号 (pins)、構成木 (tree)、その構成を表すIDS (ids)、
+     * ランダム合成のシード・回数・設定 (random) も含まれます。
+     * data は合成途中の小数の座標を保ったままで、整数に丸めたKAGEデータは kage に書き出します。
      */
-    exportJson() { return JSON.stringify(this.state, null, 2); }
+    exportJson() {
+        return JSON.stringify({ ...this.state, ids: this.getIds(), kage: KanjiComposer.quantize(this.state.data) }, null, 2);
+    }
     
     /**
      * JSON文字列から状態を復元します。
@@ -621,9 +1799,17 @@ class KanjiEditorState {
                 typeof parsed.area === 'number') {
                 
                 this.history = [];
-                // 互換性のためstrokesがなくても許容
+                // 互換性のためstrokes, pins, tree, randomがなくても許容
                 const strokes = typeof parsed.strokes === 'number' ? parsed.strokes : 0;
-                this.state = { ...parsed, strokes };
+                const pins = parsed.pins && typeof parsed.pins === 'object' ? parsed.pins : {};
+                const tree = CompositionTree.isValid(parsed.tree) ? parsed.tree : null;
+                const random = KanjiEditorState._parseRandom(parsed.random);
+                // 幅・高さのない古いJSONは logicalSize の正方形とみなす
+                const logicalWidth = typeof parsed.logicalWidth === 'number' ? parsed.logicalWidth : parsed.logicalSize;
+                const logicalHeight = typeof parsed.logicalHeight === 'number' ? parsed.logicalHeight : parsed.logicalSize;
+                // ids, kage は書き出し時に作り直すため、状態には持たない
+                const { ids, kage, ...rest } = parsed;
+                this.state = { ...rest, logicalWidth, logicalHeight, strokes, pins, tree, random };
                 return true;
             } else { return false; }
         } catch (e) { return false; }
@@ -40,7 +40,7 @@ class KanjiRenderer {
      * 漢字データをCanvasに描画します。
      * @param {HTMLCanvasElement} canvas - 描画対象のCanvas要素
      * @param {string} kageData - 描画するKAGEデータ
-     * @param {number} logicalSize - 論理サイズ (座標系の最大値)
+     * @param {number|LogicalBox} logicalSize - 論理サイズ (座標系の最大値。横長・縦長なら幅と高さ)
      * @param {number} area - 論理面積 (視覚サイズの算出に使用)
      * @returns {{visualSize: number, scaleFactor: number}|null} 描画メトリクス
      */
@@ -52,13 +52,19 @@ class KanjiRenderer {
         if (!kageData) return null;
 
         // 視覚的なサイズとスケーリング係数の計算
+        // 横長・縦長でも、幅×高さが論理面積になるように縮尺を決める
+        const box = typeof logicalSize === 'number' ? { width: logicalSize, height: logicalSize } : logicalSize;
         const visualSize = Math.sqrt(area);
-        const scaleFactor = visualSize / logicalSize;
+        const scaleFactor = Math.sqrt(area / (box.width * box.height));
+        const visualW = box.width * scaleFactor;
+        const visualH = box.height * scaleFactor;
 
         ctx.save();
         
         // 1. 画面(Canvas)に収めるためのスケーリング
-        const fitScale = width / visualSize; 
+        // 長い方の辺をCanvasに合わせ、短い方の辺の向きは中央に寄せる
+        const fitScale = Math.min(width / visualW, height / visualH);
+        ctx.translate((width - visualW * fitScale) / 2, (height - visualH * fitScale) / 2);
         ctx.scale(fitScale, fitScale);
         
         // 2. 論理座標から視覚座標へのスケーリング
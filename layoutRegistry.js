@@ -0,0 +1,528 @@
+/**
+ * レイアウトの登録と配置計算
+ * KanjiComposer.compose() で使うレイアウトを宣言的な定義として管理します。
+ * 定義は配置の計算方法 (place) とその定数 (params)、表示ラベル、面積の増やし方からなり、
+ * JavaScriptからは register() で、設定ファイル (JSON) からは apply() で追加・上書きできます。
+ */
+
+/**
+ * 論理座標上の配置先
+ * @typedef {Object} LayoutBox
+ * @property {number} x
+ * @property {number} y
+ * @property {number} w
+ * @property {number} h
+ */
+
+/**
+ * 配置計算に渡される情報
+ * @typedef {Object} LayoutContext
+ * @property {number} width - 既存部分の論理的な幅
+ * @property {number} height - 既存部分の論理的な高さ
+ * @property {number} strokes - 既存部分の画数
+ * @property {number[]} partStrokes - 追加パーツごとの画数
+ * @property {number} complexity - 既存部分の複雑さ (KanjiComposer.measureComplexity() の value)
+ * @property {number[]} partComplexity - 追加パーツごとの複雑さ
+ * @property {Object} proportionRules - 複雑さに応じた比率の決め方 (KanjiComposer.DEFAULT_PROPORTION_RULES)
+ * @property {Rect} partRect - 先頭の追加パーツの有効領域
+ * @property {Rect|null} innerRect - 囲みパーツの内側の領域 (バリアントの inner)
+ * @property {string} aspectPolicy - KanjiComposer の縦横比の扱い ('square' / 'free')
+ * @property {Object} layoutParams - 合成ごとのパラメータ (OVERLAY の align など)
+ */
+
+/**
+ * 配置計算の結果
+ * 縦横比の調整 (square) は compose() が後で行うため、ここでは既存部分の縦横比を保って計算します。
+ * @typedef {Object} LayoutPlacement
+ * @property {number} width - 合成後の論理的な幅
+ * @property {number} height - 合成後の論理的な高さ
+ * @property {LayoutBox} [current] - 既存部分の配置先 (繰り返しでは省略)
+ * @property {LayoutBox[]} parts - 追加パーツ (繰り返しでは複製) ごとの配置先
+ */
+
+/**
+ * @typedef {Object} LayoutDefinition
+ * @property {string} id - レイアウトID
+ * @property {string} label - 表示ラベル
+ * @property {string|function(LayoutContext, Object): LayoutPlacement} place - 配置計算 (PLACEMENTS の名前、または関数)
+ * @property {Object} [params] - place に渡す定数
+ * @property {number} [parts=1] - 1回で追加するパーツの数 (名前で参照する配置計算では split のみ2以上にできます)
+ * @property {boolean} [repeat=false] - 繰り返し (パーツか既存部分の一方を place が返すすべての配置先に複製し、もう一方は使わない。grid では必須)
+ * @property {string} [area='size'] - 面積の増やし方 ('size': 論理サイズの伸び率に比例 / 'copies': 複製の数に比例)
+ */
+
+/**
+ * レイアウト設定ファイルの検証エラー
+ */
+class LayoutConfigError extends Error {
+    /**
+     * @param {CatalogIssue[]} issues - 検出されたすべての問題
+     * @param {string} [source] - 設定の読み込み元
+     */
+    constructor(issues, source) {
+        const where = source ? ` (${source})` : '';
+        super(`Invalid layout config${where}:\n` + issues.map(i => `  ${i.path}: ${i.message}`).join('\n'));
+        this.name = 'LayoutConfigError';
+        /** @type {CatalogIssue[]} 検出されたすべての問題 */
+        this.issues = issues;
+    }
+}
+
+class LayoutRegistry {
+    /** 設定ファイル形式のバージョン */
+    static get VERSION() { return 1; }
+
+    /**
+     * 名前で参照できる配置計算
+     * いずれも (ctx: LayoutContext, params: Object) => LayoutPlacement です。
+     */
+    static get PLACEMENTS() {
+        return {
+            /**
+             * 辺に追加: params.side ('left' / 'right' / 'top' / 'bottom') にパーツの列 (段) を継ぎ足す
+             * params.size は同じ複雑さの200の字に継ぎ足すときの幅 (高さ) で、
+             * 実際の幅は既存部分とパーツの複雑さから KanjiComposer.proportionalOdds() で決める
+             */
+            append(ctx, params) {
+                const { width, height } = ctx;
+                const odds = KanjiComposer.proportionalOdds(params.size / 200, ctx.partComplexity[0], ctx.complexity, ctx.proportionRules);
+                const horizontal = params.side === 'left' || params.side === 'right';
+                const size = (horizontal ? width : height) * odds;
+                if (params.side === 'right') {
+                    return { width: width + size, height, current: { x: 0, y: 0, w: width, h: height }, parts: [{ x: width, y: 0, w: size, h: height }] };
+                }
+                if (params.side === 'left') {
+                    return { width: width + size, height, current: { x: size, y: 0, w: width, h: height }, parts: [{ x: 0, y: 0, w: size, h: height }] };
+                }
+                if (params.side === 'top') {
+                    return { width, height: height + size, current: { x: 0, y: size, w: width, h: height }, parts: [{ x: 0, y: 0, w: width, h: size }] };
+                }
+                return { width, height: height + size, current: { x: 0, y: 0, w: width, h: height }, parts: [{ x: 0, y: height, w: width, h: size }] };
+            },
+
+            /**
+             * 枠: 全体を params.ratio の逆数倍に広げてパーツを全体に置き、
+             * 既存部分を params.content [x, y, w, h] (全体に対する比率) に置く (しんにょう・門構え)
+             * content は同じ複雑さのときの領域で、既存部分が複雑なほど中心を保ったまま広げる (全体からははみ出さない)
+             */
+            frame(ctx, params) {
+                const width = ctx.width / params.ratio;
+                const height = ctx.height / params.ratio;
+                const [cx, cy, cw, ch] = params.content;
+                const fit = (start, size) => {
+                    const next = KanjiComposer.proportionalShare(size, ctx.complexity, ctx.partComplexity[0], ctx.proportionRules);
+                    return [Math.min(Math.max(start + (size - next) / 2, 0), 1 - next), next];
+                };
+                const [x, w] = fit(cx, cw);
+                const [y, h] = fit(cy, ch);
+                return {
+                    width, height,
+                    current: { x: x * width, y: y * height, w: w * width, h: h * height },
+                    parts: [{ x: 0, y: 0, w: width, h: height }]
+                };
+            },
+
+            /**
+             * 囲み: 全体を params.margin だけ広げて既存部分を中央に置き、
+             * パーツは全体の params.partScale 倍から margin を引いた大きさで中央に置く (くにがまえ)
+             */
+            surround(ctx, params) {
+                const width = ctx.width + params.margin;
+                const height = ctx.height + params.margin;
+                const boxW = width * params.partScale - params.margin;
+                const boxH = height * params.partScale - params.margin;
+                const padding = params.margin / 2;
+                return {
+                    width, height,
+                    current: { x: padding, y: padding, w: ctx.width, h: ctx.height },
+                    parts: [{ x: (width - boxW) / 2, y: (height - boxH) / 2, w: boxW, h: boxH }]
+                };
+            },
+
+            /**
+             * 内側の領域指定の囲み: 囲みパーツを全体に置き、既存部分を囲みの開いた領域
+             * (バリアントの inner、なければ params.inner) に置く
+             */
+            inner(ctx, params) {
+                const [dx, dy, dw, dh] = params.inner;
+                const inner = ctx.innerRect || { x: dx, y: dy, w: dw, h: dh };
+                const src = ctx.partRect;
+                // 内側の領域を、囲みパーツの有効領域を全体に広げたときの比率に換算する
+                const ix = (inner.x - src.x) / src.w;
+                const iy = (inner.y - src.y) / src.h;
+                const iw = inner.w / src.w;
+                const ih = inner.h / src.h;
+                let width, height;
+                if (ctx.aspectPolicy === 'square') {
+                    // 既存パーツの長い辺が現在の論理サイズのまま収まるように全体を広げる
+                    width = height = Math.max(ctx.width, ctx.height) / Math.max(iw, ih);
+                } else {
+                    // 内側の領域がちょうど既存パーツの大きさになるように、縦横を別々に広げる
+                    width = ctx.width / iw;
+                    height = ctx.height / ih;
+                }
+                return {
+                    width, height,
+                    current: { x: ix * width, y: iy * height, w: iw * width, h: ih * height },
+                    parts: [{ x: 0, y: 0, w: width, h: height }]
+                };
+            },
+
+            /**
+             * 分割: 既存部分を先頭 (左・上) に置き、複雑さに応じた幅 (高さ) で並べる (三列・三段)
+             * 幅の比は複雑さの proportionRules.exponent 乗に比例させる
+             * 既存部分の幅 (高さ) は現在の論理サイズのまま保ち、縮小しない
+             */
+            split(ctx, params) {
+                const weights = [ctx.complexity, ...ctx.partComplexity].map(c => Math.pow(c, ctx.proportionRules.exponent));
+                const shares = KanjiComposer.splitShares(weights, params.minShare);
+                const horizontal = params.direction === 'horizontal';
+                const width = horizontal ? ctx.width / shares[0] : ctx.width;
+                const height = horizontal ? ctx.height : ctx.height / shares[0];
+                let offset = 0;
+                const boxes = shares.map(share => {
+                    const box = horizontal
+                        ? { x: offset, y: 0, w: width * share, h: height }
+                        : { x: 0, y: offset, w: width, h: height * share };
+                    offset += horizontal ? box.w : box.h;
+                    return box;
+                });
+                return { width, height, current: boxes[0], parts: boxes.slice(1) };
+            },
+
+            /**
+             * 格子: params.cells の各マス [x, y, w, h] (全体に対する比率) に複製を置く (繰り返し)
+             * マスの幅・高さが現在の論理サイズになるように全体を広げる
+             */
+            grid(ctx, params) {
+                const width = ctx.width / Math.min(...params.cells.map(([, , w]) => w));
+                const height = ctx.height / Math.min(...params.cells.map(([, , , h]) => h));
+                return {
+                    width, height,
+                    parts: params.cells.map(([x, y, w, h]) => ({ x: x * width, y: y * height, w: w * width, h: h * height }))
+                };
+            },
+
+            /**
+             * 重ね合わせ: 論理サイズは変えずに、パーツを既存部分の上に重ねる
+             * 配置と大きさは合成ごとの layoutParams.align / scale (なければ params の値) で決める
+             */
+            overlay(ctx, params) {
+                const { width, height } = ctx;
+                const scale = ctx.layoutParams.scale !== undefined ? ctx.layoutParams.scale : params.scale;
+                const align = ctx.layoutParams.align || params.align;
+                const sizeW = width * scale;
+                const sizeH = height * scale;
+                const fx = align.includes('left') ? 0 : align.includes('right') ? 1 : 0.5;
+                const fy = align.includes('top') ? 0 : align.includes('bottom') ? 1 : 0.5;
+                return {
+                    width, height,
+                    current: { x: 0, y: 0, w: width, h: height },
+                    parts: [{ x: (width - sizeW) * fx, y: (height - sizeH) * fy, w: sizeW, h: sizeH }]
+                };
+            }
+        };
+    }
+
+    /**
+     * 名前で参照できる配置計算ごとの、params に必要な値
+     * 値は [検査する関数, 期待する値の説明, 省略できるか] です。
+     */
+    static get PLACEMENT_PARAMS() {
+        const number = v => typeof v === 'number' && isFinite(v);
+        const positive = v => number(v) && v > 0;
+        const share = v => positive(v) && v <= 1;
+        const rect = v => Array.isArray(v) && v.length === 4 && v.every(n => number(n) && n >= 0 && n <= 1) && v[2] > 0 && v[3] > 0;
+        const oneOf = values => [v => values.includes(v), `one of ${values.map(v => `"${v}"`).join(', ')}`];
+        const RECT = 'numbers in 0-1 with w, h > 0';
+        return {
+            append: { side: oneOf(['left', 'right', 'top', 'bottom']), size: [positive, 'a positive number'] },
+            frame: { ratio: [share, 'a number in (0, 1]'], content: [rect, `an array [x, y, w, h] of ${RECT}`] },
+            surround: { margin: [v => number(v) && v >= 0, 'a number >= 0'], partScale: [positive, 'a positive number'] },
+            inner: { inner: [rect, `an array [x, y, w, h] of ${RECT}`] },
+            split: { direction: oneOf(['horizontal', 'vertical']), minShare: [share, 'a number in (0, 1]', true] },
+            grid: { cells: [v => Array.isArray(v) && v.length > 0 && v.every(rect), `a non-empty array of [x, y, w, h] cells of ${RECT}`] },
+            overlay: { align: oneOf(KanjiComposer.OVERLAY_ALIGNMENTS), scale: [share, 'a number in (0, 1]'] }
+        };
+    }
+
+    /**
+     * 組み込みのレイアウト定義を取得します。
+     * @returns {LayoutDefinition[]}
+     */
+    static get DEFAULT_LAYOUTS() {
+        const third = 1 / 3;
+        return [
+            { id: 'ADD_RIGHT', label: "右に追加 (つくり)", place: 'append', params: { side: 'right', size: 300 } },
+            { id: 'ADD_LEFT', label: "左に追加 (へん)", place: 'append', params: { side: 'left', size: 120 } },
+            { id: 'ADD_TOP', label: "上に載せる (かんむり)", place: 'append', params: { side: 'top', size: 150 } },
+            { id: 'ADD_BOTTOM', label: "下に追加 (あし)", place: 'append', params: { side: 'bottom', size: 150 } },
+            { id: 'NYOU', label: "しんにょう (左下囲み)", place: 'frame', params: { ratio: 0.7, content: [0.3, 0.1, 0.7, 0.7] } },
+            { id: 'ENCLOSE', label: "囲む (くにがまえ)", place: 'surround', params: { margin: 70, partScale: 1.4 } },
+            { id: 'ENCLOSE_GATE', label: "門構え (内側下配置)", place: 'frame', params: { ratio: 0.75, content: [0.25, 0.45, 0.5, 0.5] } },
+            {
+                id: 'TRIANGLE', label: "品字型 (3つ複製)", place: 'grid', repeat: true, area: 'copies',
+                params: { cells: [[0.25, 0, 0.5, 0.5], [0, 0.5, 0.5, 0.5], [0.5, 0.5, 0.5, 0.5]] }
+            },
+            {
+                id: 'REPEAT_2_H', label: "二つ並べる (林)", place: 'grid', repeat: true, area: 'copies',
+                params: { cells: [[0, 0, 0.5, 1], [0.5, 0, 0.5, 1]] }
+            },
+            {
+                id: 'REPEAT_2_V', label: "二つ積む (昌)", place: 'grid', repeat: true, area: 'copies',
+                params: { cells: [[0, 0, 1, 0.5], [0, 0.5, 1, 0.5]] }
+            },
+            {
+                id: 'REPEAT_3_H', label: "三つ並べる (⿲)", place: 'grid', repeat: true, area: 'copies',
+                params: { cells: [[0, 0, third, 1], [third, 0, third, 1], [third * 2, 0, third, 1]] }
+            },
+            {
+                id: 'REPEAT_3_V', label: "三つ積む (⿳)", place: 'grid', repeat: true, area: 'copies',
+                params: { cells: [[0, 0, 1, third], [0, third, 1, third], [0, third * 2, 1, third]] }
+            },
+            {
+                id: 'REPEAT_4', label: "四つ並べる (㗊)", place: 'grid', repeat: true, area: 'copies',
+                params: { cells: [[0, 0, 0.5, 0.5], [0.5, 0, 0.5, 0.5], [0, 0.5, 0.5, 0.5], [0.5, 0.5, 0.5, 0.5]] }
+            },
+            { id: 'THREE_COLUMNS', label: "三列に並べる (⿲)", place: 'split', parts: 2, params: { direction: 'horizontal', minShare: 0.2 } },
+            { id: 'THREE_ROWS', label: "三段に積む (⿳)", place: 'split', parts: 2, params: { direction: 'vertical', minShare: 0.2 } },
+            { id: 'ENCLOSE_UPPER_LEFT', label: "まだれ型 (左上囲み)", place: 'inner', params: { inner: [0.3, 0.3, 0.65, 0.65] } },
+            { id: 'ENCLOSE_UPPER_RIGHT', label: "つつみがまえ型 (右上囲み)", place: 'inner', params: { inner: [0.1, 0.3, 0.6, 0.6] } },
+            { id: 'ENCLOSE_BELOW', label: "うけばこ型 (下囲み)", place: 'inner', params: { inner: [0.2, 0.1, 0.6, 0.7] } },
+            { id: 'ENCLOSE_ABOVE', label: "まきがまえ型 (上囲み)", place: 'inner', params: { inner: [0.2, 0.3, 0.6, 0.65] } },
+            { id: 'ENCLOSE_LEFT', label: "はこがまえ型 (左囲み)", place: 'inner', params: { inner: [0.25, 0.2, 0.7, 0.6] } },
+            { id: 'OVERLAY', label: "重ねる (⿻)", place: 'overlay', params: { align: 'center', scale: 1.0 } }
+        ];
+    }
+
+    /**
+     * 登録済みのレイアウト定義を登録順に返します。
+     * @returns {LayoutDefinition[]}
+     */
+    static list() {
+        return [...LayoutRegistry._getLayouts().values()];
+    }
+
+    /**
+     * レイアウト定義を取得します。
+     * @param {string} id - レイアウトID
+     * @returns {LayoutDefinition|null}
+     */
+    static get(id) {
+        return LayoutRegistry._getLayouts().get(id) || null;
+    }
+
+    /**
+     * レイアウトIDと表示ラベルの対応マップを返します。
+     * @returns {Object.<string, string>}
+     */
+    static getLabels() {
+        const labels = {};
+        for (const layout of LayoutRegistry.list()) labels[layout.id] = layout.label;
+        return labels;
+    }
+
+    /**
+     * レイアウトを追加、または既存の定義を上書きします。
+     * 既存のIDを指定した場合は、指定したプロパティだけを置き換えます (params はキーごとにマージ)。
+     * extends を指定すると、そのレイアウトの定義を引き継いだ新しいレイアウトを作ります。
+     * @param {LayoutDefinition & {extends?: string}} definition
+     * @returns {LayoutDefinition} 登録された定義
+     * @throws {LayoutConfigError} 定義が不正な場合
+     */
+    static register(definition) {
+        const issues = [];
+        LayoutRegistry._validateLayout(definition, 'layout', (path, message) => issues.push({ path, message }));
+        if (issues.length > 0) throw new LayoutConfigError(issues);
+
+        const layouts = LayoutRegistry._getLayouts();
+        const merged = LayoutRegistry._merge(definition, layouts);
+        layouts.set(definition.id, merged);
+        return merged;
+    }
+
+    /**
+     * 定義を、上書きする (または extends で引き継ぐ) 定義とマージします。
+     * @param {LayoutDefinition & {extends?: string}} definition
+     * @param {Map<string, LayoutDefinition>} layouts - 引き継ぎ元を探すレイアウト
+     * @returns {LayoutDefinition}
+     * @private
+     */
+    static _merge(definition, layouts) {
+        const { extends: baseId, ...rest } = definition;
+        const base = layouts.get(baseId || definition.id) || {};
+        return { ...base, ...rest, params: { ...base.params, ...rest.params } };
+    }
+
+    /**
+     * 組み込みの定義に戻します。
+     */
+    static reset() {
+        LayoutRegistry._layouts = null;
+    }
+
+    /**
+     * レイアウトの配置計算を行います。
+     * @param {LayoutDefinition} layout
+     * @param {LayoutContext} ctx
+     * @returns {LayoutPlacement}
+     */
+    static place(layout, ctx) {
+        const place = typeof layout.place === 'function' ? layout.place : LayoutRegistry.PLACEMENTS[layout.place];
+        return place(ctx, layout.params || {});
+    }
+
+    /**
+     * レイアウト設定を検証し、問題の一覧を返します。
+     * ルートは { version, layouts: [...] } 形式、または定義の配列を受け付けます。
+     * 設定ファイルでは place に PLACEMENTS の名前だけを指定できます。
+     * @param {*} json - JSON.parse() 済みの設定
+     * @returns {CatalogIssue[]}
+     */
+    static validate(json) {
+        const issues = [];
+        const report = (path, message) => issues.push({ path, message });
+
+        let layouts = json;
+        let base = '';
+        if (!Array.isArray(json)) {
+            if (json === null || typeof json !== 'object') {
+                report('(root)', 'must be an object with a "layouts" array');
+                return issues;
+            }
+            for (const key of Object.keys(json)) {
+                if (!['$schema', 'version', 'layouts'].includes(key)) report('(root)', `unknown property "${key}"`);
+            }
+            if (json.version !== undefined && json.version !== LayoutRegistry.VERSION) {
+                report('version', `unsupported layout config version ${JSON.stringify(json.version)} (expected ${LayoutRegistry.VERSION})`);
+            }
+            if (!Array.isArray(json.layouts)) {
+                report('layouts', 'must be an array');
+                return issues;
+            }
+            layouts = json.layouts;
+            base = 'layouts';
+        }
+
+        // 先に定義したレイアウトは、後の定義の extends から参照できる
+        const known = new Map(LayoutRegistry._getLayouts());
+        layouts.forEach((entry, i) => {
+            const path = `${base}[${i}]`;
+            if (entry !== null && typeof entry === 'object' && typeof entry.place === 'function') {
+                report(`${path}.place`, 'must be the name of a placement in a config file');
+            }
+            LayoutRegistry._validateLayout(entry, path, report, known);
+            if (entry && typeof entry.id === 'string') known.set(entry.id, LayoutRegistry._merge(entry, known));
+        });
+        return issues;
+    }
+
+    /**
+     * レイアウト設定をファイルパスまたはURLから読み込み、登録します。
+     * @param {string} pathOrUrl - 設定JSONのパスまたはURL
+     * @returns {Promise<LayoutDefinition[]>} 登録された定義
+     * @throws {LayoutConfigError} 検証に失敗した場合
+     */
+    static async apply(pathOrUrl) {
+        const text = await readTextResource(pathOrUrl);
+        if (text === null) throw new Error(`Layout config not found: ${pathOrUrl}`);
+        let json;
+        try {
+            json = JSON.parse(text);
+        } catch (e) {
+            throw new LayoutConfigError([{ path: '(root)', message: `invalid JSON: ${e.message}` }], pathOrUrl);
+        }
+        const issues = LayoutRegistry.validate(json);
+        if (issues.length > 0) throw new LayoutConfigError(issues, pathOrUrl);
+        return (Array.isArray(json) ? json : json.layouts).map(entry => LayoutRegistry.register(entry));
+    }
+
+    /**
+     * 1件のレイアウト定義を検証します。
+     * params は、引き継ぐ定義とマージした結果が配置計算 (PLACEMENT_PARAMS) に必要な値を持つかを調べます。
+     * @param {Map<string, LayoutDefinition>} [known] - extends で参照できるレイアウト (省略時は登録済みのもの)
+     * @private
+     */
+    static _validateLayout(entry, path, report, known = LayoutRegistry._getLayouts()) {
+        if (entry === null || typeof entry !== 'object' || Array.isArray(entry)) {
+            report(path, 'must be an object');
+            return;
+        }
+        const allowed = ['id', 'extends', 'label', 'place', 'params', 'parts', 'repeat', 'area'];
+        for (const key of Object.keys(entry)) {
+            if (!allowed.includes(key)) report(path, `unknown property "${key}"`);
+        }
+
+        if (typeof entry.id !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(entry.id)) {
+            report(`${path}.id`, 'must be an upper-case layout id (e.g. "ADD_RIGHT_WIDE")');
+            return;
+        }
+        if (entry.extends !== undefined && !known.has(entry.extends)) {
+            report(`${path}.extends`, `unknown layout id "${entry.extends}"`);
+        }
+        // 新しいレイアウトには表示ラベルと配置計算が必要 (extends なら引き継ぐ)
+        const isNew = !known.has(entry.id) && entry.extends === undefined;
+        if (entry.label !== undefined ? typeof entry.label !== 'string' || entry.label.length === 0 : isNew) {
+            report(`${path}.label`, 'must be a non-empty string');
+        }
+        if (entry.place !== undefined ? typeof entry.place !== 'function' && !LayoutRegistry.PLACEMENTS[entry.place] : isNew) {
+            report(`${path}.place`, `must be one of ${Object.keys(LayoutRegistry.PLACEMENTS).join(', ')}`);
+        }
+        if (entry.params !== undefined && (entry.params === null || typeof entry.params !== 'object' || Array.isArray(entry.params))) {
+            report(`${path}.params`, 'must be an object');
+        } else {
+            const merged = LayoutRegistry._merge(entry, known);
+            const required = typeof merged.place === 'string' ? LayoutRegistry.PLACEMENT_PARAMS[merged.place] : null;
+            for (const [name, [check, expected, optional]] of Object.entries(required || {})) {
+                const value = merged.params[name];
+                if (value === undefined) {
+                    if (!optional) report(`${path}.params.${name}`, `required by place "${merged.place}" (${expected})`);
+                } else if (!check(value)) {
+                    report(`${path}.params.${name}`, `must be ${expected} (got ${JSON.stringify(value)})`);
+                }
+            }
+        }
+        if (entry.parts !== undefined && (!Number.isInteger(entry.parts) || entry.parts < 1)) {
+            report(`${path}.parts`, `must be a positive integer (got ${JSON.stringify(entry.parts)})`);
+        }
+        if (entry.repeat !== undefined && typeof entry.repeat !== 'boolean') {
+            report(`${path}.repeat`, 'must be a boolean');
+        }
+        LayoutRegistry._validateArity(LayoutRegistry._merge(entry, known), path, report);
+        if (entry.area !== undefined && !['size', 'copies'].includes(entry.area)) {
+            report(`${path}.area`, 'must be "size" or "copies"');
+        }
+    }
+
+    /**
+     * parts と repeat が、名前で参照した配置計算の返す配置先と合うかを検証します。
+     * split は追加パーツの数だけ配置先を返し、grid は既存部分の配置先を持たずに1つの単位をマスの数だけ複製します。
+     * それ以外の配置計算は、既存部分とパーツ1つの配置先を返します。
+     * @param {LayoutDefinition} merged - 引き継ぐ定義とマージした定義
+     * @private
+     */
+    static _validateArity(merged, path, report) {
+        if (typeof merged.place !== 'string' || !LayoutRegistry.PLACEMENTS[merged.place] || merged.place === 'split') return;
+        const parts = merged.parts !== undefined ? merged.parts : 1;
+        if (Number.isInteger(parts) && parts !== 1) {
+            const reason = merged.place === 'grid' ? 'one part is copied into every cell' : 'it places exactly one part';
+            report(`${path}.parts`, `must be 1 for place "${merged.place}" (${reason}; got ${parts})`);
+        }
+        if (merged.place === 'grid' && merged.repeat !== true) {
+            report(`${path}.repeat`, 'must be true for place "grid" (it has no box for the current glyph)');
+        } else if (merged.place !== 'grid' && merged.repeat === true) {
+            report(`${path}.repeat`, `must not be true for place "${merged.place}" (it places the current glyph next to the part)`);
+        }
+    }
+
+    /**
+     * @returns {Map<string, LayoutDefinition>}
+     * @private
+     */
+    static _getLayouts() {
+        if (!LayoutRegistry._layouts) {
+            LayoutRegistry._layouts = new Map(LayoutRegistry.DEFAULT_LAYOUTS.map(layout => [layout.id, layout]));
+        }
+        return LayoutRegistry._layouts;
+    }
+}
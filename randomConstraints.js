@@ -0,0 +1,124 @@
+/**
+ * ランダム合成の制約
+ * KanjiComposer.composeRandom() が候補 (パーツとレイアウトの組) を選ぶときの絞り込みと、
+ * 合成結果の検査を行います。満たせない場合は理由ごとの却下回数を RandomConstraintError で報告します。
+ */
+
+/**
+ * 制約を満たすランダム合成が見つからないときのエラー
+ */
+class RandomConstraintError extends Error {
+    /**
+     * @param {Object.<string, number>} rejections - 却下の理由ごとの回数 (strokes, density, parts など)
+     * @param {number} attempts - 合成を試した回数
+     * @param {string} [reason] - 試す前に満たせないと分かった場合の理由
+     * @param {boolean} [exhausted=false] - 試していないパーツとレイアウトの組が残っていないか
+     */
+    constructor(rejections, attempts, reason, exhausted = false) {
+        const details = Object.entries(rejections).map(([key, count]) => `${key}: ${count}`).join(', ');
+        super(reason
+            ? `Random composition constraints cannot be satisfied: ${reason}`
+            : `No random composition satisfied the constraints after ${attempts} attempts`
+                + (exhausted ? ' and every allowed part and layout was tried' : '')
+                + (details ? ` (rejected by ${details})` : ''));
+        this.name = 'RandomConstraintError';
+        /** @type {Object.<string, number>} 却下の理由ごとの回数 */
+        this.rejections = rejections;
+        /** @type {number} 合成を試した回数 */
+        this.attempts = attempts;
+        /** @type {boolean} 試していないパーツとレイアウトの組が残っていないか */
+        this.exhausted = exhausted;
+    }
+}
+
+class RandomConstraints {
+    /**
+     * @param {Object} [constraints]
+     * @param {number} [constraints.minStrokes] - 合成結果の総画数の下限
+     * @param {number} [constraints.maxStrokes] - 合成結果の総画数の上限
+     * @param {number} [constraints.maxTreeDepth] - 構成木の深さの上限 (CompositionTree.depth())
+     * @param {string[]} [constraints.layouts] - 使ってよいレイアウト (省略時はすべて)
+     * @param {string[]} [constraints.excludeLayouts] - 使わないレイアウト
+     * @param {boolean} [constraints.noRepeat=false] - 同じパーツを2回以上使わない (繰り返し系レイアウトも使いません)
+     * @param {string} [constraints.mustInclude] - 合成結果に必ず含めるパーツの文字 (まだ無ければ今回追加します)
+     * @param {number} [constraints.maxDensity] - 視覚的な密度の上限 (KanjiComposer.getVisualDensity())
+     * @param {number} [constraints.maxAttempts=20] - 合成を試す回数の上限
+     * @param {{strokes: number, tree?: CompositionNode|null}} current - 合成前の状態
+     */
+    constructor(constraints = {}, current) {
+        this.constraints = constraints;
+        this.maxAttempts = constraints.maxAttempts !== undefined ? constraints.maxAttempts : 20;
+        this.usedChars = new Set(current.tree ? CompositionTree.getChars(current.tree) : []);
+        this.depth = current.tree ? CompositionTree.depth(current.tree) : 0;
+        /** @type {Object.<string, number>} 却下の理由ごとの回数 */
+        this.rejections = {};
+    }
+
+    /**
+     * 候補を試す前に、制約がそもそも満たせないかを調べます。
+     * @returns {string|null} 満たせない理由 (満たせる可能性があればnull)
+     */
+    findContradiction() {
+        const { minStrokes, maxStrokes, maxTreeDepth, mustInclude } = this.constraints;
+        if (minStrokes !== undefined && maxStrokes !== undefined && minStrokes > maxStrokes) {
+            return `minStrokes ${minStrokes} is greater than maxStrokes ${maxStrokes}`;
+        }
+        if (maxTreeDepth !== undefined && this.depth + 1 > maxTreeDepth) {
+            return `the composition is already ${this.depth} levels deep (maxTreeDepth ${maxTreeDepth})`;
+        }
+        if (mustInclude && !this.usedChars.has(mustInclude) && !GlyphConfig.CHARS.some(c => c.char === mustInclude)) {
+            return `"${mustInclude}" is not in the part catalog`;
+        }
+        return null;
+    }
+
+    /**
+     * パーツとレイアウトの組を、追加する主なパーツとして使えるかを返します。
+     * @param {CharConfig} charConfig
+     * @param {string} layoutMode
+     * @returns {boolean}
+     */
+    allows(charConfig, layoutMode) {
+        const { layouts, excludeLayouts, noRepeat, mustInclude } = this.constraints;
+        if (layouts && !layouts.includes(layoutMode)) return false;
+        if (excludeLayouts && excludeLayouts.includes(layoutMode)) return false;
+        if (mustInclude && !this.usedChars.has(mustInclude) && charConfig.char !== mustInclude) return false;
+        if (noRepeat) {
+            const layout = LayoutRegistry.get(layoutMode);
+            if (this.usedChars.has(charConfig.char) || (layout && layout.repeat)) return false;
+        }
+        return true;
+    }
+
+    /**
+     * 三列・三段の残りのパーツとして使えるかを返します。
+     * @param {CharConfig} charConfig
+     * @param {CharConfig[]} chosen - 今回すでに選んだパーツ
+     * @returns {boolean}
+     */
+    allowsExtra(charConfig, chosen) {
+        if (!this.constraints.noRepeat) return true;
+        return !this.usedChars.has(charConfig.char) && !chosen.some(c => c.char === charConfig.char);
+    }
+
+    /**
+     * 合成結果を検査します。
+     * @param {{strokes: number, area: number}} result
+     * @returns {string|null} 満たさない制約 ('strokes' / 'density')。満たしていればnull
+     */
+    check(result) {
+        const { minStrokes, maxStrokes, maxDensity } = this.constraints;
+        if (minStrokes !== undefined && result.strokes < minStrokes) return 'strokes';
+        if (maxStrokes !== undefined && result.strokes > maxStrokes) return 'strokes';
+        if (maxDensity !== undefined && KanjiComposer.getVisualDensity(result) > maxDensity) return 'density';
+        return null;
+    }
+
+    /**
+     * 却下を記録します。
+     * @param {string} reason - 却下の理由
+     */
+    reject(reason) {
+        this.rejections[reason] = (this.rejections[reason] || 0) + 1;
+    }
+}
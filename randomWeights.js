@@ -0,0 +1,139 @@
+/**
+ * ランダム合成の重み付け
+ * パーツとレイアウトの組の選ばれやすさを、カタログの重み (weight, layoutWeights) と
+ * 合成前の状態 (密度、直前のレイアウト) から決めます。
+ * 組 (c, l) の確率は weight(c) × layoutWeight(c, l) × 状態による係数(l) ÷ Σ layoutWeight(c, *) に比例します。
+ * 状態による係数がすべて1なら、パーツは weight だけで選ばれ、レイアウトは layoutWeights の比で選ばれます。
+ */
+class RandomWeights {
+    /**
+     * 状態による重み付けの既定値
+     * denseThreshold: 密度 (KanjiComposer.getVisualDensity()) がこの値以上なら囲み系を減らします。
+     * enclosureFactor: 詰まっているときの囲み系の係数
+     * enclosurePlaces: 囲み系とみなすレイアウトの配置計算 (LayoutRegistry.PLACEMENTS の名前)
+     * repeatFactor: 直前の合成と同じレイアウトの係数 (同じ向きに続けて追加するのを避ける)
+     */
+    static get DEFAULT_RULES() {
+        return {
+            denseThreshold: 6,
+            enclosureFactor: 0.3,
+            enclosurePlaces: ['frame', 'surround', 'inner'],
+            repeatFactor: 0.2
+        };
+    }
+
+    /**
+     * @param {{area: number, strokes: number, tree?: CompositionNode|null}} current - 合成前の状態
+     * @param {Object} [rules] - 状態による重み付け (DEFAULT_RULES を部分的に上書き)
+     */
+    constructor(current, rules = {}) {
+        this.rules = { ...RandomWeights.DEFAULT_RULES, ...rules };
+        this.density = KanjiComposer.getVisualDensity(current);
+        this.lastLayout = current.tree && current.tree.type === 'layout' ? current.tree.layout : null;
+    }
+
+    /**
+     * カタログに書かれたレイアウトの重みを返します。
+     * @param {CharConfig} charConfig
+     * @param {string} layoutMode
+     * @returns {number}
+     */
+    static getLayoutWeight(charConfig, layoutMode) {
+        const weights = charConfig.layoutWeights;
+        return weights && weights[layoutMode] !== undefined ? weights[layoutMode] : 1;
+    }
+
+    /**
+     * 状態によるレイアウトの係数を返します。
+     * @param {string} layoutMode
+     * @returns {number}
+     */
+    getContextFactor(layoutMode) {
+        let factor = 1;
+        const layout = LayoutRegistry.get(layoutMode);
+        if (this.density >= this.rules.denseThreshold && layout && this.rules.enclosurePlaces.includes(layout.place)) {
+            factor *= this.rules.enclosureFactor;
+        }
+        if (layoutMode === this.lastLayout) factor *= this.rules.repeatFactor;
+        return factor;
+    }
+
+    /**
+     * 追加する主なパーツとしての重みを返します。
+     * @param {CharConfig} charConfig
+     * @param {string[]} [layouts] - 選べるレイアウト (省略時は charConfig.layouts すべて)
+     * @returns {number}
+     */
+    getCharWeight(charConfig, layouts = charConfig.layouts) {
+        const weight = charConfig.weight !== undefined ? charConfig.weight : 1;
+        const total = charConfig.layouts.reduce((sum, l) => sum + RandomWeights.getLayoutWeight(charConfig, l), 0);
+        if (total === 0) return 0;
+        const available = layouts.reduce((sum, l) => sum + this.getPairWeight(charConfig, l), 0);
+        return weight * available / total;
+    }
+
+    /**
+     * パーツを決めた後の、レイアウトとしての重みを返します。
+     * @param {CharConfig} charConfig
+     * @param {string} layoutMode
+     * @returns {number}
+     */
+    getPairWeight(charConfig, layoutMode) {
+        return RandomWeights.getLayoutWeight(charConfig, layoutMode) * this.getContextFactor(layoutMode);
+    }
+
+    /**
+     * 三列・三段の残りのパーツとしての重みを返します (レイアウトは決まっているため状態による係数は掛けません)。
+     * @param {CharConfig} charConfig
+     * @param {string} layoutMode
+     * @returns {number}
+     */
+    getPartWeight(charConfig, layoutMode) {
+        const weight = charConfig.weight !== undefined ? charConfig.weight : 1;
+        return weight * RandomWeights.getLayoutWeight(charConfig, layoutMode);
+    }
+
+    /**
+     * 重み付きでレイアウトを選びます。
+     * @param {CharConfig} charConfig
+     * @param {string[]} layouts - 選べるレイアウト
+     * @param {function(): number} random - 0以上1未満の乱数を返す関数
+     * @returns {string|undefined} 重みのあるレイアウトがなければundefined
+     */
+    pickLayout(charConfig, layouts, random) {
+        const weights = layouts.map(l => this.getPairWeight(charConfig, l));
+        const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+        if (totalWeight === 0) return undefined;
+        let value = random() * totalWeight;
+        for (let i = 0; i < layouts.length; i++) {
+            if (value < weights[i]) return layouts[i];
+            value -= weights[i];
+        }
+        // 丸め誤差で選べなかった場合のフォールバック (重みが0のレイアウトは選ばない)
+        return layouts[weights.map(w => w > 0).lastIndexOf(true)];
+    }
+
+    /**
+     * パーツとレイアウトの組ごとの確率を、高い順に返します。
+     * @param {CharConfig[]} chars - 候補のパーツ
+     * @param {function(CharConfig): string[]} [layoutsOf] - パーツごとの選べるレイアウト (省略時は charConfig.layouts)
+     * @returns {{char: string, layout: string, probability: number}[]}
+     */
+    getDistribution(chars, layoutsOf = c => c.layouts) {
+        const entries = [];
+        for (const charConfig of chars) {
+            const layouts = layoutsOf(charConfig);
+            const charWeight = this.getCharWeight(charConfig, layouts);
+            const layoutTotal = layouts.reduce((sum, l) => sum + this.getPairWeight(charConfig, l), 0);
+            if (charWeight === 0 || layoutTotal === 0) continue;
+            for (const layout of layouts) {
+                entries.push({ char: charConfig.char, layout, weight: charWeight * this.getPairWeight(charConfig, layout) / layoutTotal });
+            }
+        }
+        const total = entries.reduce((sum, e) => sum + e.weight, 0);
+        return entries
+            .map(({ char, layout, weight }) => ({ char, layout, probability: weight / total }))
+            .filter(e => e.probability > 0)
+            .sort((a, b) => b.probability - a.probability);
+    }
+}
@@ -0,0 +1,54 @@
+/**
+ * シード指定できる疑似乱数生成器
+ * 同じシードからは常に同じ乱数列が得られるため、ランダム合成の結果を再現できます。
+ * アルゴリズムは mulberry32 (32bitの状態を持つ高速な生成器) です。
+ */
+class SeededRandom {
+    /**
+     * @param {number} seed - シード (32bit符号なし整数。範囲外の値は下位32bitを使用)
+     */
+    constructor(seed) {
+        /** @type {number} 生成に使ったシード */
+        this.seed = seed >>> 0;
+        this._state = this.seed;
+    }
+
+    /**
+     * 新しいシードを作ります (シード自体は Math.random() で選びます)。
+     * @returns {number} 32bit符号なし整数
+     */
+    static randomSeed() {
+        return Math.floor(Math.random() * 0x100000000);
+    }
+
+    /**
+     * シードと番号から、互いに独立した乱数列を作ります。
+     * ランダム合成の n 回目に n を渡すと、途中を取り消しても以降の回の結果が変わりません。
+     * @param {number} seed - 元のシード
+     * @param {number} index - 番号 (0始まり)
+     * @returns {SeededRandom}
+     */
+    static derive(seed, index) {
+        return new SeededRandom((seed ^ Math.imul(index + 1, 0x9E3779B1)) >>> 0);
+    }
+
+    /**
+     * 次の乱数を返します。
+     * @returns {number} 0以上1未満の数 (Math.random() と同じ範囲)
+     */
+    next() {
+        this._state = (this._state + 0x6D2B79F5) >>> 0;
+        let t = this._state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+    }
+
+    /**
+     * Math.random() の代わりに渡せる関数を返します。
+     * @returns {function(): number}
+     */
+    toFunction() {
+        return () => this.next();
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * IDSの解析・構成木への変換・書き出しの確認
+ * 実行: node test/idsParser.js
+ */
+const assert = require('assert');
+const { loadScripts } = require('./loadScripts.js');
+
+const { IdsParser, IdsError } = loadScripts();
+// vm のコンテキストで作られたオブジェクトはプロトタイプが異なるため、JSONを通して比べる
+const plain = value => JSON.parse(JSON.stringify(value));
+const issuesOf = ids => {
+    try {
+        IdsParser.toCompositionTree(ids);
+    } catch (e) {
+        assert.ok(e instanceof IdsError, e.message);
+        return plain(e.issues);
+    }
+    assert.fail(`"${ids}" was composed`);
+};
+
+// 構文木 (位置はコードポイント単位、前後の空白は飛ばして元の文字列で数える)
+assert.deepStrictEqual(plain(IdsParser.parse(' ⿰木⿱日口')), {
+    index: 1, op: '⿰', children: [
+        { index: 2, char: '木' },
+        { index: 3, op: '⿱', children: [{ index: 4, char: '日' }, { index: 5, char: '口' }] }
+    ]
+});
+assert.deepStrictEqual(issuesOf(''), [{ index: 0, message: 'empty IDS' }]);
+assert.deepStrictEqual(issuesOf('⿰木'), [{ index: 0, message: '"⿰" needs 2 operands but the IDS ended after 1' }]);
+assert.deepStrictEqual(issuesOf('木日'), [{ index: 1, message: 'unexpected "日" after the end of the sequence' }]);
+
+// 未対応の記述文字とカタログに無い文字は、すべてまとめて位置順に報告する
+assert.deepStrictEqual(issuesOf('⿰Ａ⿱Ｂ口'), [
+    { index: 1, message: '"Ａ" is not in the part catalog' },
+    { index: 3, message: '"Ｂ" is not in the part catalog' }
+]);
+assert.deepStrictEqual(issuesOf('⿼⿰木Ａ⿾山'), [
+    { index: 0, message: 'operator "⿼" is not supported' },
+    { index: 3, message: '"Ａ" is not in the part catalog' },
+    { index: 4, message: 'operator "⿾" is not supported' }
+]);
+assert.deepStrictEqual(issuesOf('⿰日山'), [
+    { index: 0, message: '"日" / "山" cannot be placed by "⿰" (needs layout ADD_LEFT / ADD_RIGHT in the catalog)' }
+]);
+
+// レイアウトの候補は、追加パーツとしての適性で選ぶ
+const layoutOf = ids => IdsParser.toCompositionTree(ids).layout;
+assert.strictEqual(layoutOf('⿰木日'), 'ADD_LEFT'); // 木 は ADD_LEFT の専用バリアントを持つ
+assert.strictEqual(layoutOf('⿰日木'), 'ADD_RIGHT'); // 日 は ADD_LEFT を許可していない
+assert.strictEqual(layoutOf('⿱日木'), 'ADD_TOP'); // 同点のパーツ単体は先の候補 (かんむり側)
+assert.strictEqual(layoutOf('⿰⿱日口⿱日口'), 'ADD_RIGHT'); // 同点の合成済みは後の候補 (つくり側)
+const tree = IdsParser.toCompositionTree('⿰木⿱日口', { areaFactor: 1.5 });
+assert.deepStrictEqual(plain(tree), {
+    type: 'layout', layout: 'ADD_LEFT', areaFactor: 1.5, children: [
+        {
+            type: 'layout', layout: 'ADD_TOP', areaFactor: 1.5, children: [
+                { type: 'glyph', id: '口', char: '口', strokes: 3 },
+                { type: 'glyph', id: '日', char: '日', strokes: 4 }
+            ]
+        },
+        { type: 'glyph', id: 'u6728-01', char: '木', rect: [0, 0, 0.45, 1], strokes: 3 }
+    ]
+});
+
+// 書き出しは配置の順に並べるため、読み込んだIDSに戻る
+for (const ids of ['⿰木⿱日口', '⿰日木', '⿱日木', '⿲木口木', '⿺辶口']) {
+    assert.strictEqual(IdsParser.stringify(IdsParser.toCompositionTree(ids)), ids);
+}
+assert.strictEqual(IdsParser.stringify({ type: 'layout', layout: 'REPEAT_3_H', children: [{ type: 'glyph', id: '日', char: '日' }, { type: 'glyph', id: 'u6728', char: '木' }] }), '⿲木木木');
+console.log('ok idsParser');
@@ -0,0 +1,64 @@
+/**
+ * レイアウト定義の検証・引き継ぎと、配置計算の結果の確認
+ * 実行: node test/layoutRegistry.js
+ */
+const assert = require('assert');
+const { loadScripts } = require('./loadScripts.js');
+
+const { LayoutRegistry, LayoutConfigError, KanjiComposer } = loadScripts();
+// vm のコンテキストで作られたオブジェクトはプロトタイプが異なるため、JSONを通して比べる
+const plain = value => JSON.parse(JSON.stringify(value));
+const paths = issues => Array.from(issues, issue => issue.path);
+
+// 組み込みの定義は、そのまま設定ファイルとしても通る
+assert.deepStrictEqual(plain(LayoutRegistry.validate({ version: 1, layouts: LayoutRegistry.DEFAULT_LAYOUTS })), []);
+
+// 配置計算に必要な params が足りない・型が違う
+assert.deepStrictEqual(paths(LayoutRegistry.validate([{ id: 'WIDE', label: 'wide', place: 'append' }])),
+    ['[0].params.side', '[0].params.size']);
+assert.deepStrictEqual(paths(LayoutRegistry.validate([{ id: 'CELLS', label: 'cells', place: 'grid', repeat: true, params: { cells: [] } }])),
+    ['[0].params.cells']);
+
+// parts と repeat は配置計算が返す配置先の数に合わせる
+const arity = LayoutRegistry.validate({
+    layouts: [
+        { id: 'TWO_RIGHT', label: 'two', place: 'append', parts: 2, params: { side: 'right', size: 100 } },
+        { id: 'CELLS', label: 'cells', place: 'grid', params: { cells: [[0, 0, 1, 1]] } },
+        { id: 'TRIANGLE_3', extends: 'TRIANGLE', parts: 3 },
+        { id: 'COPY_RIGHT', extends: 'ADD_RIGHT', repeat: true },
+        { id: 'FOUR_COLUMNS', extends: 'THREE_COLUMNS', parts: 3 }
+    ]
+});
+assert.deepStrictEqual(paths(arity), ['layouts[0].parts', 'layouts[1].repeat', 'layouts[2].parts', 'layouts[3].repeat']);
+assert.throws(() => LayoutRegistry.register({ id: 'TWO_RIGHT', label: 'two', place: 'append', parts: 2, params: { side: 'right', size: 100 } }),
+    e => e instanceof LayoutConfigError && e.issues[0].path === 'layout.parts');
+
+// extends は先に定義したレイアウトも参照でき、params はキーごとにマージされる
+assert.deepStrictEqual(plain(LayoutRegistry.validate([
+    { id: 'WIDE_RIGHT', extends: 'ADD_RIGHT', label: 'wide', params: { size: 400 } },
+    { id: 'WIDER_RIGHT', extends: 'WIDE_RIGHT', label: 'wider' }
+])), []);
+assert.deepStrictEqual(paths(LayoutRegistry.validate([{ id: 'WIDE', extends: 'NO_SUCH_LAYOUT' }])), ['[0].extends']);
+const wide = LayoutRegistry.register({ id: 'WIDE_RIGHT', extends: 'ADD_RIGHT', label: 'wide', params: { size: 400 } });
+assert.deepStrictEqual(plain(wide), { id: 'WIDE_RIGHT', label: 'wide', place: 'append', params: { side: 'right', size: 400 } });
+
+// 同じ複雑さなら、params どおりの配置先になる
+const ctx = {
+    width: 200, height: 200, strokes: 4, partStrokes: [4], complexity: 1, partComplexity: [1],
+    proportionRules: KanjiComposer.DEFAULT_PROPORTION_RULES, partRect: { x: 0, y: 0, w: 1, h: 1 },
+    innerRect: null, aspectPolicy: 'free', layoutParams: {}
+};
+assert.deepStrictEqual(plain(LayoutRegistry.place(wide, ctx)), {
+    width: 600, height: 200, current: { x: 0, y: 0, w: 200, h: 200 }, parts: [{ x: 200, y: 0, w: 400, h: 200 }]
+});
+const nyou = plain(LayoutRegistry.place(LayoutRegistry.get('NYOU'), ctx));
+const side = 200 / 0.7;
+assert.ok(Math.abs(nyou.width - side) < 1e-9 && Math.abs(nyou.current.x - 0.3 * side) < 1e-9 && Math.abs(nyou.current.w - 200) < 1e-9);
+assert.deepStrictEqual(plain(LayoutRegistry.place(LayoutRegistry.get('TRIANGLE'), ctx)), {
+    width: 400, height: 400,
+    parts: [{ x: 100, y: 0, w: 200, h: 200 }, { x: 0, y: 200, w: 200, h: 200 }, { x: 200, y: 200, w: 200, h: 200 }]
+});
+
+LayoutRegistry.reset();
+assert.strictEqual(LayoutRegistry.get('WIDE_RIGHT'), null);
+console.log('ok layoutRegistry');
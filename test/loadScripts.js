@@ -0,0 +1,40 @@
+/**
+ * テスト用のスクリプト読み込み
+ * index.html が <script> で読み込むファイルを同じ順に vm のコンテキストで実行し、
+ * ブラウザと同じくグローバルに定義されたクラスや関数を取り出せるようにします。
+ * 各テストは node test/<ファイル名>.js で実行します。
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * index.html が読み込むスクリプトを実行したコンテキストを作ります。
+ * @returns {Object} 名前を指定するとコンテキストのグローバルな値を返すオブジェクト (例: const { KanjiComposer } = loadScripts())
+ */
+function loadScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const files = [...html.matchAll(/<script src="\.\/([^"]+)"><\/script>/g)].map(m => m[1]);
+    const context = vm.createContext({ console, setTimeout, clearTimeout });
+    for (const file of files) {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    }
+    // class 宣言はグローバルオブジェクトのプロパティにならないため、名前を評価して取り出す
+    return new Proxy({}, { get: (_, name) => vm.runInContext(String(name), context) });
+}
+
+/**
+ * すべてのグリフを同じ四角形のデータで返すグリフソースを作ります (通信せずに合成を試すため)。
+ * @param {Object} scripts - loadScripts() の戻り値
+ * @returns {GlyphSource}
+ */
+function createBoxSource(scripts) {
+    const box = '1:0:0:20:20:20:180$1:0:0:20:20:180:20$1:0:0:20:180:180:180$1:0:0:180:20:180:180';
+    // getAllGlyphIds() はバリアントの無い文字をそのまま返すので、GlyphLoader と同じく uXXXX に直す
+    const ids = scripts.GlyphConfig.getAllGlyphIds().map(id => [...id].length === 1 ? `u${id.codePointAt(0).toString(16)}` : id);
+    return scripts.DumpGlyphSource.fromText(ids.map(id => `${id} ${box}`).join('\n'));
+}
+
+module.exports = { loadScripts, createBoxSource };
@@ -0,0 +1,44 @@
+/**
+ * ランダム合成が選ぶパーツとレイアウトの組が、getRandomDistribution() の確率どおりになることの確認
+ * 実行: node test/randomDistribution.js
+ */
+const assert = require('assert');
+const { loadScripts, createBoxSource } = require('./loadScripts.js');
+
+(async () => {
+    const scripts = loadScripts();
+    const { GlyphConfig, GlyphLoader, KanjiComposer, CompositionTree, SeededRandom, RandomConstraintError } = scripts;
+    GlyphConfig.setCatalog([
+        { char: '木', layouts: ['ADD_RIGHT', 'ADD_BOTTOM', 'ADD_TOP'], weight: 2, layoutWeights: { ADD_RIGHT: 3, ADD_TOP: 0 } },
+        { char: '日', layouts: ['ADD_RIGHT', 'ADD_LEFT'] }
+    ]);
+    const loader = new GlyphLoader({ source: createBoxSource(scripts) });
+    const composer = new KanjiComposer(loader);
+    const first = GlyphConfig.CHARS[0];
+    const current = { data: await loader.load(first.char), logicalSize: 200, area: 40000, strokes: 4, tree: CompositionTree.leaf(first) };
+
+    const distribution = composer.getRandomDistribution(current);
+    assert.ok(!distribution.some(e => e.layout === 'ADD_TOP'), 'a layout with weight 0 has a probability');
+
+    const samples = 2000;
+    const counts = {};
+    for (let i = 0; i < samples; i++) {
+        const { info } = await composer.composeRandom(current, 1.0, { random: SeededRandom.derive(1, i).toFunction() });
+        const key = `${info.char}/${info.layout}`;
+        counts[key] = (counts[key] || 0) + 1;
+    }
+    assert.strictEqual(counts['木/ADD_TOP'], undefined, 'a layout with weight 0 was picked');
+    for (const { char, layout, probability } of distribution) {
+        const observed = (counts[`${char}/${layout}`] || 0) / samples;
+        assert.ok(Math.abs(observed - probability) < 0.03, `${char}/${layout}: observed ${observed}, expected ${probability}`);
+    }
+
+    // 重みが0の組しか残っていなければ、選ばずに使い切ったものとして扱う
+    const onlyZero = { layouts: ['ADD_TOP'] };
+    assert.strictEqual(composer.getRandomDistribution(current, onlyZero).length, 0);
+    await assert.rejects(composer.composeRandom(current, 1.0, { constraints: onlyZero }), e => e instanceof RandomConstraintError && e.exhausted);
+    console.log('ok randomDistribution');
+})().catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+});
@@ -0,0 +1,68 @@
+/**
+ * シードと記録された設定から、ランダム合成を同じ結果に再生できることの確認
+ * 実行: node test/randomReplay.js
+ */
+const assert = require('assert');
+const { loadScripts, createBoxSource } = require('./loadScripts.js');
+
+(async () => {
+    const scripts = loadScripts();
+    const { GlyphConfig, GlyphLoader, KanjiComposer, KanjiEditorState, CompositionTree } = scripts;
+    const loader = new GlyphLoader({ source: createBoxSource(scripts) });
+    const first = GlyphConfig.CHARS[0];
+    const initial = async () => {
+        const state = new KanjiEditorState();
+        state.reset(await loader.load(first.char), 4, {}, CompositionTree.leaf(first));
+        return state;
+    };
+
+    // 1回ずつ合成して、各回の記録を残す (index.html の「ランダム」と同じ)
+    const seed = 12345;
+    const settings = {
+        areaFactor: 1.3,
+        aspectPolicy: 'free',
+        proportionExponent: 0.8,
+        constraints: { maxStrokes: 40, noRepeat: true, excludeLayouts: ['OVERLAY'] }
+    };
+    const original = await initial();
+    const composer = new KanjiComposer(loader, {
+        aspectPolicy: settings.aspectPolicy, proportionRules: { exponent: settings.proportionExponent }
+    });
+    for (let step = 0; step < 5; step++) {
+        const [result] = await composer.composeRandomSteps(original.getCurrent(), settings.areaFactor, 1, {
+            seed, firstStep: step, constraints: settings.constraints
+        });
+        original.update(result.data, KanjiComposer.getLogicalBox(result), result.area, result.strokes, result.pins, result.tree);
+        original.setRandom(seed, step + 1, settings);
+    }
+
+    // 書き出したJSONの記録だけから、別の合成器でまとめて再生する
+    const imported = new KanjiEditorState();
+    assert.ok(imported.importJson(original.exportJson()));
+    const { random } = imported.getCurrent();
+    // vm のコンテキストで作られたオブジェクトはプロトタイプが異なるため、JSONを通して比べる
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(random)), { seed, steps: 5, settings });
+    const replayer = new KanjiComposer(loader, {
+        aspectPolicy: random.settings.aspectPolicy, proportionRules: { exponent: random.settings.proportionExponent }
+    });
+    const results = await replayer.composeRandomSteps((await initial()).getCurrent(), random.settings.areaFactor, random.steps, {
+        seed: random.seed, constraints: random.settings.constraints
+    });
+    const replayed = results[results.length - 1];
+
+    const expected = original.getCurrent();
+    assert.strictEqual(replayed.data, expected.data);
+    assert.strictEqual(replayed.ids, original.getIds());
+    assert.strictEqual(replayed.logicalWidth, expected.logicalWidth);
+    assert.strictEqual(replayed.logicalHeight, expected.logicalHeight);
+    assert.strictEqual(replayed.area, expected.area);
+
+    // 設定を変えた後でも、構成木に記録された設定で組み立て直せば同じ結果になる
+    replayer.aspectPolicy = 'square';
+    replayer.proportionRules.exponent = 0;
+    assert.strictEqual((await replayer.renderTree(expected.tree)).data, expected.data);
+    console.log('ok randomReplay');
+})().catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+});
@@ -0,0 +1,34 @@
+/**
+ * 合成を重ねても論理サイズとストロークの位置がずれないことの確認
+ * 実行: node test/subpixelChain.js
+ */
+const assert = require('assert');
+const { loadScripts, createBoxSource } = require('./loadScripts.js');
+
+(async () => {
+    const scripts = loadScripts();
+    const { GlyphConfig, GlyphLoader, KanjiComposer, CompositionTree } = scripts;
+    const loader = new GlyphLoader({ source: createBoxSource(scripts) });
+    // 複雑さによる比率の調整を止め、NYOU の定義どおり (ratio 0.7, content [0.3, 0.1, 0.7, 0.7]) に置く
+    const composer = new KanjiComposer(loader, { proportionRules: { exponent: 0 } });
+    const part = GlyphConfig.CHARS.find(c => c.char === '口');
+
+    const data = await loader.load('口');
+    let state = { data, logicalSize: 200, area: 40000, strokes: 4, tree: CompositionTree.leaf(part) };
+    // 最初のストロークの始点 (20, 20) は、毎回 (0.3, 0.1) × 新しい一辺だけ平行移動する (縮尺は 0.7 / ratio = 1)
+    let size = 200, x = 20, y = 20;
+    for (let i = 0; i < 10; i++) {
+        state = await composer.composePart(state, part, 'NYOU', 1.0);
+        size /= 0.7;
+        x += 0.3 * size;
+        y += 0.1 * size;
+    }
+
+    assert.ok(Math.abs(state.logicalWidth - size) < 1e-6, `logicalWidth ${state.logicalWidth}, expected ${size}`);
+    const [first] = composer.flatten(state.data);
+    assert.ok(Math.abs(first[3] - x) < 0.1 && Math.abs(first[4] - y) < 0.1, `first stroke at (${first[3]}, ${first[4]}), expected (${x}, ${y})`);
+    console.log('ok subpixelChain');
+})().catch(e => {
+    console.error(e);
+    process.exitCode = 1;
+});